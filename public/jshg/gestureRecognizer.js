@@ -0,0 +1,425 @@
+//gestureRecognizer.js
+/*
+ * Worker of the Javascript Hand Gesture Plugin (JSHG), see handDetection3.js.
+ *
+ * Messages are { "type": ..., "data": ... } objects, answered with the same
+ * type:
+ * - initRequest:     settings from JSHG.initWorker_
+ * - learningRequest: a camera frame; answers with the skin colors sampled at
+ *                    the learning points, as [hue, saturation, value] triples
+ * - detectRequest:   a camera frame; answers with the hand found in it:
+ *                    { handPos, fingers, threshImage, debugInfo }
+ *
+ * handPos and fingers are in camera coordinates, threshImage and debugInfo in
+ * gesture display coordinates (camera coordinates times responseScale).
+ */
+
+/* ------- CONSTANTS ------- */
+var INIT_REQUEST = "initRequest";
+var LEARN_REQUEST = "learningRequest";
+var DETECT_REQUEST = "detectRequest";
+
+// 8-neighbourhood, clockwise starting west (y axis pointing down)
+var NEIGHBOURS = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+/* ------- STATE ------- */
+var settings = {
+    "debugMode": false,
+    "learningPoints": [],
+    "skinColors": [[340, 0.07, 0.45]],
+    "responseScale": [1, 1],
+    "responseThreshImage": false
+};
+var configs = {
+    "processingWidth": 160,    // frames are scaled down to this width first
+    "learningRadius": 2,       // learning samples (2r+1)^2 pixels per point
+    "hueRange": 15,            // degrees
+    "saturationRange": 0.15,
+    "valueRange": 0.3,
+    "minSaturation": 0.1,      // below this, hue is too unstable to compare
+    "minHandArea": 0.02,       // of the processed frame
+    "fingerDepthRatio": 0.15,  // defect depth relative to the hand size
+    "fingerMaxAngle": 90,      // degrees between two fingers
+    "fingerMergeRatio": 0.1    // fingertips closer than this are merged
+};
+
+/* ------- COLOR ------- */
+
+// RGB in [0, 255] to [hue in degrees, saturation, value in [0, 1]]
+function rgbToHsv(r, g, b) {
+    var max = Math.max(r, g, b), min = Math.min(r, g, b),
+        delta = max - min, h = 0;
+
+    if (delta > 0) {
+        if (max === r) {
+            h = 60 * ((g - b) / delta);
+        } else if (max === g) {
+            h = 60 * ((b - r) / delta + 2);
+        } else {
+            h = 60 * ((r - g) / delta + 4);
+        }
+        if (h < 0) h += 360;
+    }
+    return [h, max === 0 ? 0 : delta / max, max / 255];
+}
+
+function isSkin(hsv, skinColors) {
+    for (var i = 0; i < skinColors.length; ++i) {
+        var color = skinColors[i];
+
+        if (Math.abs(hsv[1] - color[1]) > configs["saturationRange"] ||
+            Math.abs(hsv[2] - color[2]) > configs["valueRange"]) {
+            continue;
+        }
+        if (hsv[1] < configs["minSaturation"] && color[1] < configs["minSaturation"]) {
+            return true;
+        }
+        var dh = Math.abs(hsv[0] - color[0]);
+        if (Math.min(dh, 360 - dh) <= configs["hueRange"]) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/* ------- LEARNING ------- */
+
+// averages the pixels around each learning point into one skin color
+function learnSkinColors(frame) {
+    var radius = configs["learningRadius"], colors = [];
+
+    for (var i = 0; i < settings["learningPoints"].length; ++i) {
+        var px = Math.round(settings["learningPoints"][i][0]),
+            py = Math.round(settings["learningPoints"][i][1]),
+            r = 0, g = 0, b = 0, n = 0;
+
+        for (var y = Math.max(py - radius, 0); y <= Math.min(py + radius, frame.height - 1); ++y) {
+            for (var x = Math.max(px - radius, 0); x <= Math.min(px + radius, frame.width - 1); ++x) {
+                var index = (y * frame.width + x) * 4;
+                r += frame.data[index];
+                g += frame.data[index + 1];
+                b += frame.data[index + 2];
+                ++n;
+            }
+        }
+        if (n > 0) {
+            colors.push(rgbToHsv(r / n, g / n, b / n));
+        }
+    }
+    return colors;
+}
+
+/* ------- SEGMENTATION ------- */
+
+// skin mask of the frame scaled down to processingWidth, 1 = skin
+function threshold(frame, width, height) {
+    var mask = new Uint8Array(width * height),
+        stepX = frame.width / width, stepY = frame.height / height;
+
+    for (var y = 0; y < height; ++y) {
+        var sy = Math.floor(y * stepY);
+        for (var x = 0; x < width; ++x) {
+            var index = (sy * frame.width + Math.floor(x * stepX)) * 4,
+                hsv = rgbToHsv(frame.data[index], frame.data[index + 1], frame.data[index + 2]);
+
+            mask[y * width + x] = isSkin(hsv, settings["skinColors"]) ? 1 : 0;
+        }
+    }
+    return mask;
+}
+
+// 3x3 erosion (fn = Math.min) or dilation (fn = Math.max), border stays 0
+function morph(mask, width, height, fn) {
+    var result = new Uint8Array(width * height);
+
+    for (var y = 1; y < height - 1; ++y) {
+        for (var x = 1; x < width - 1; ++x) {
+            var pos = y * width + x;
+            result[pos] = fn(mask[pos],
+                mask[pos - width - 1], mask[pos - width], mask[pos - width + 1],
+                mask[pos - 1], mask[pos + 1],
+                mask[pos + width - 1], mask[pos + width], mask[pos + width + 1]);
+        }
+    }
+    return result;
+}
+
+// keeps the largest 8-connected region of the mask, labelled 2
+function largestRegion(mask, width, height) {
+    var labels = new Int32Array(width * height), stack = [],
+        best = { label: 0, area: 0 }, label = 0;
+
+    for (var start = 0; start < mask.length; ++start) {
+        if (!mask[start] || labels[start]) continue;
+
+        var area = 0, sumX = 0, sumY = 0,
+            minX = width, minY = height, maxX = 0, maxY = 0;
+
+        labels[start] = ++label;
+        stack.push(start);
+        while (stack.length > 0) {
+            var pos = stack.pop(), x = pos % width, y = (pos - x) / width;
+
+            ++area;
+            sumX += x;
+            sumY += y;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+
+            for (var k = 0; k < 8; ++k) {
+                var nx = x + NEIGHBOURS[k][0], ny = y + NEIGHBOURS[k][1], npos = ny * width + nx;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[npos] && !labels[npos]) {
+                    labels[npos] = label;
+                    stack.push(npos);
+                }
+            }
+        }
+
+        if (area > best.area) {
+            best = {
+                label: label, area: area, start: start,
+                centroid: [sumX / area, sumY / area],
+                size: Math.max(maxX - minX + 1, maxY - minY + 1)
+            };
+        }
+    }
+
+    if (best.area === 0) return null;
+
+    for (var i = 0; i < labels.length; ++i) {
+        mask[i] = labels[i] === best.label ? 2 : 0;
+    }
+    return best;
+}
+
+/* ------- CONTOUR ------- */
+
+// Moore-neighbour tracing of the region labelled 2, starting at its first
+// pixel in raster order. Stops when the start pixel is left the same way a
+// second time (Jacob's criterion), so regions touching themselves at the
+// start pixel are traced completely.
+function traceContour(mask, width, height, start) {
+    var contour = [], x = start % width, y = (start - x) / width,
+        startX = x, startY = y, back = 0, firstMove = -1,
+        maxSteps = 4 * width * height;
+
+    function inside(px, py) {
+        return px >= 0 && py >= 0 && px < width && py < height && mask[py * width + px] === 2;
+    }
+
+    contour.push([x, y]);
+    for (var steps = 0; steps < maxSteps; ++steps) {
+        var found = -1;
+        for (var k = 1; k <= 8; ++k) {
+            var d = (back + k) % 8;
+            if (inside(x + NEIGHBOURS[d][0], y + NEIGHBOURS[d][1])) {
+                found = d;
+                break;
+            }
+        }
+        if (found < 0) break; // single pixel
+
+        if (x === startX && y === startY) {
+            if (firstMove < 0) {
+                firstMove = found;
+            } else if (found === firstMove) {
+                break;
+            }
+        }
+
+        // backtrack to the last background pixel checked, seen from the new pixel
+        var prev = (found + 7) % 8,
+            bx = x + NEIGHBOURS[prev][0], by = y + NEIGHBOURS[prev][1];
+        x += NEIGHBOURS[found][0];
+        y += NEIGHBOURS[found][1];
+        back = directionTo(bx - x, by - y);
+
+        if (x !== startX || y !== startY) {
+            contour.push([x, y]);
+        }
+    }
+    return contour;
+}
+
+function directionTo(dx, dy) {
+    for (var k = 0; k < 8; ++k) {
+        if (NEIGHBOURS[k][0] === dx && NEIGHBOURS[k][1] === dy) return k;
+    }
+    return 0;
+}
+
+// indices of the convex hull points of the contour, in contour order
+function convexHullIndices(contour) {
+    var order = contour.map(function (p, i) { return i; });
+    order.sort(function (a, b) {
+        return contour[a][0] - contour[b][0] || contour[a][1] - contour[b][1];
+    });
+
+    function cross(o, a, b) {
+        return (contour[a][0] - contour[o][0]) * (contour[b][1] - contour[o][1]) -
+               (contour[a][1] - contour[o][1]) * (contour[b][0] - contour[o][0]);
+    }
+
+    var lower = [], upper = [], i;
+    for (i = 0; i < order.length; ++i) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], order[i]) <= 0) lower.pop();
+        lower.push(order[i]);
+    }
+    for (i = order.length - 1; i >= 0; --i) {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], order[i]) <= 0) upper.pop();
+        upper.push(order[i]);
+    }
+    lower.pop();
+    upper.pop();
+
+    return lower.concat(upper).sort(function (a, b) { return a - b; });
+}
+
+// deepest contour point between each pair of neighbouring hull points
+function convexityDefects(contour, hull) {
+    var defects = [], len = contour.length;
+
+    for (var i = 0; i < hull.length && hull.length >= 3; ++i) {
+        var from = hull[i], to = hull[(i + 1) % hull.length],
+            start = contour[from], end = contour[to],
+            dx = end[0] - start[0], dy = end[1] - start[1],
+            norm = Math.sqrt(dx * dx + dy * dy) || 1,
+            depth = 0, deepest = -1;
+
+        for (var j = (from + 1) % len; j !== to; j = (j + 1) % len) {
+            var p = contour[j],
+                dist = Math.abs(dx * (p[1] - start[1]) - dy * (p[0] - start[0])) / norm;
+            if (dist > depth) {
+                depth = dist;
+                deepest = j;
+            }
+        }
+        if (deepest >= 0) {
+            defects.push({ start: start, end: end, depthPoint: contour[deepest], depth: depth });
+        }
+    }
+    return defects;
+}
+
+function angle(a, b, c) {
+    var abx = a[0] - b[0], aby = a[1] - b[1],
+        cbx = c[0] - b[0], cby = c[1] - b[1],
+        cos = (abx * cbx + aby * cby) /
+              ((Math.sqrt(abx * abx + aby * aby) * Math.sqrt(cbx * cbx + cby * cby)) || 1);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// fingertips are the hull ends of deep and narrow defects
+function findFingers(defects, handSize) {
+    var tips = [], mergeDist = handSize * configs["fingerMergeRatio"];
+
+    function addTip(p) {
+        for (var i = 0; i < tips.length; ++i) {
+            if (Math.abs(tips[i][0] - p[0]) <= mergeDist && Math.abs(tips[i][1] - p[1]) <= mergeDist) return;
+        }
+        tips.push(p);
+    }
+
+    for (var i = 0; i < defects.length; ++i) {
+        var defect = defects[i];
+        if (defect.depth >= handSize * configs["fingerDepthRatio"] &&
+            angle(defect.start, defect.depthPoint, defect.end) <= configs["fingerMaxAngle"]) {
+            addTip(defect.start);
+            addTip(defect.end);
+        }
+    }
+    return tips.slice(0, 5);
+}
+
+/* ------- DETECTION ------- */
+
+function detectHand(frame) {
+    var width = Math.min(configs["processingWidth"], frame.width),
+        height = Math.round(frame.height * width / frame.width),
+        toCameraX = frame.width / width, toCameraY = frame.height / height,
+        toDisplayX = toCameraX * settings["responseScale"][0],
+        toDisplayY = toCameraY * settings["responseScale"][1],
+        handInfo = { handPos: null, fingers: [] };
+
+    var mask = threshold(frame, width, height);
+    mask = morph(morph(mask, width, height, Math.min), width, height, Math.max);
+
+    if (settings["responseThreshImage"]) {
+        handInfo.threshImage = scaleMask(mask, width, height,
+            Math.round(frame.width * settings["responseScale"][0]),
+            Math.round(frame.height * settings["responseScale"][1]));
+    }
+
+    var region = largestRegion(mask, width, height);
+    if (!region || region.area < configs["minHandArea"] * width * height) {
+        return handInfo;
+    }
+
+    var contour = traceContour(mask, width, height, region.start),
+        hull = convexHullIndices(contour),
+        defects = convexityDefects(contour, hull),
+        fingers = findFingers(defects, region.size);
+
+    handInfo.handPos = [region.centroid[0] * toCameraX, region.centroid[1] * toCameraY];
+    handInfo.fingers = fingers.map(function (p) {
+        return [p[0] * toCameraX, p[1] * toCameraY];
+    });
+
+    if (settings["debugMode"]) {
+        var toDisplay = function (p) { return [p[0] * toDisplayX, p[1] * toDisplayY]; };
+        handInfo.debugInfo = {
+            contour: { contour: contour.map(toDisplay) },
+            hullLines: hull.map(function (index, i) {
+                return toDisplay(contour[index]).concat(toDisplay(contour[hull[(i + 1) % hull.length]]));
+            }),
+            defectLines: defects.reduce(function (lines, defect) {
+                var depthPoint = toDisplay(defect.depthPoint);
+                lines.push(toDisplay(defect.start).concat(depthPoint));
+                lines.push(depthPoint.concat(toDisplay(defect.end)));
+                return lines;
+            }, [])
+        };
+    }
+    return handInfo;
+}
+
+// nearest-neighbour scaling of the mask to the gesture display, 0 or 255
+function scaleMask(mask, width, height, dstWidth, dstHeight) {
+    var image = new Uint8Array(dstWidth * dstHeight);
+
+    for (var y = 0; y < dstHeight; ++y) {
+        var sy = Math.floor(y * height / dstHeight);
+        for (var x = 0; x < dstWidth; ++x) {
+            image[y * dstWidth + x] = mask[sy * width + Math.floor(x * width / dstWidth)] ? 255 : 0;
+        }
+    }
+    return image;
+}
+
+/* ------- MESSAGES ------- */
+
+self.addEventListener('message', function (e) {
+    var type = e.data["type"], data = e.data["data"];
+
+    if (type == INIT_REQUEST) {
+        for (var prop in settings) {
+            if (data[prop] != null) settings[prop] = data[prop];
+        }
+        for (var config in data["configs"] || {}) {
+            configs[config] = data["configs"][config];
+        }
+        self.postMessage({ "type": INIT_REQUEST });
+
+    } else if (type == LEARN_REQUEST) {
+        var skinColors = learnSkinColors(data);
+        if (skinColors.length > 0) {
+            settings["skinColors"] = skinColors;
+        }
+        self.postMessage({ "type": LEARN_REQUEST, "data": settings["skinColors"] });
+
+    } else if (type == DETECT_REQUEST) {
+        self.postMessage({ "type": DETECT_REQUEST, "data": detectHand(data) });
+    }
+}, false);
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Writes the classifier asset files that ClassifierRegistry fetches, from an
+ * OpenCV Haar cascade XML file or a JSON classifier array:
+ *
+ *   npm run classifiers -- cascades/point.xml              public/classifiers/point.*
+ *   npm run classifiers -- cascades/point.xml handpoint    public/classifiers/handpoint.*
+ *
+ * A JSON input holds either the plain array or { "classifier": [...],
+ * "tilted": true }.
+ */
+
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+require('babel-register')({
+  babelrc: false,
+  presets: ['react-app'],
+  only: /\/src\//
+});
+
+var fs = require('fs');
+var path = require('path');
+var HaarCascadeLoader = require('../src/components/haarCascadeLoader.js').HaarCascadeLoader;
+var ClassifierRegistry = require('../src/components/classifierRegistry.js').ClassifierRegistry;
+
+var OUTPUT_DIR = path.join(__dirname, '..', 'public', 'classifiers');
+
+function readClassifier(file) {
+  var text = fs.readFileSync(file, 'utf8'),
+    json, classifier;
+
+  if (path.extname(file).toLowerCase() === '.xml') {
+    return HaarCascadeLoader.parse(text);
+  }
+
+  json = JSON.parse(text);
+  classifier = new Float32Array(Array.isArray(json) ? json : json.classifier);
+  classifier.tilted = json.tilted !== undefined ?
+    !!json.tilted : HaarCascadeLoader.isTilted(classifier);
+  return classifier;
+}
+
+function main() {
+  var input = process.argv[2],
+    name = process.argv[3] || (input && path.basename(input, path.extname(input)));
+
+  if (!input) {
+    console.log('Usage: npm run classifiers -- <cascade.xml|classifier.json> [name]');
+    return 1;
+  }
+
+  var assets = ClassifierRegistry.encode(name, readClassifier(input));
+
+  if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR);
+  fs.writeFileSync(path.join(OUTPUT_DIR, name + '.json'), JSON.stringify(assets.header, null, 2) + '\n');
+  fs.writeFileSync(path.join(OUTPUT_DIR, name + '.bin'), Buffer.from(assets.data));
+  console.log('WROTE ' + name + ': ' + assets.header.width + 'x' + assets.header.height + ', ' +
+    assets.header.stages + ' stages, ' + assets.data.byteLength + ' bytes');
+  return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Draws the replay/hand sequence: an open hand, skin coloured on a dark green
+ * background, moving down and to the right over three frames. The frames are
+ * synthetic, so the goldens can be rebuilt from nothing but this script:
+ *
+ *   node scripts/draw-hand.js                 replay/hand
+ *   node scripts/draw-hand.js replay/other    another directory
+ *   npm run replay -- --update                rewrites the goldens
+ */
+
+var fs = require('fs');
+var path = require('path');
+var PNG = require('pngjs').PNG;
+
+var WIDTH = 200;
+var HEIGHT = 160;
+var BACKGROUND = [30, 90, 40, 255];
+var SKIN = [210, 150, 120, 255];
+
+// Offset of the hand in each frame
+var MOVES = [[0, 0], [6, 3], [12, 6]];
+
+// Palm as an ellipse, the knuckles as a box over it
+var PALM = { x: 100, y: 100, rx: 30, ry: 26.5 };
+var KNUCKLES = { left: 83, top: 74, right: 118, bottom: 100 };
+
+// Fingers as capsules from base to tip: [x0, y0, x1, y1, radius]
+var FINGERS = [
+  [72.5, 88, 70, 80.5, 4],
+  [86.5, 76, 85.5, 55.8, 4],
+  [100, 76, 100, 50.2, 3.5],
+  [113.5, 76, 114.5, 55.8, 4],
+  [128.5, 88, 131.5, 80.8, 4]
+];
+
+function inCapsule(x, y, finger) {
+  var dx = finger[2] - finger[0],
+    dy = finger[3] - finger[1],
+    t = Math.max(0, Math.min(1, ((x - finger[0]) * dx + (y - finger[1]) * dy) / (dx * dx + dy * dy))),
+    ex = x - finger[0] - t * dx,
+    ey = y - finger[1] - t * dy;
+
+  return ex * ex + ey * ey <= finger[4] * finger[4];
+}
+
+function inHand(x, y) {
+  var px = (x - PALM.x) / PALM.rx,
+    py = (y - PALM.y) / PALM.ry;
+
+  return px * px + py * py <= 1 ||
+    (x >= KNUCKLES.left && x < KNUCKLES.right && y >= KNUCKLES.top && y < KNUCKLES.bottom) ||
+    FINGERS.some(function (finger) {
+      return inCapsule(x, y, finger);
+    });
+}
+
+function drawFrame(move) {
+  var png = new PNG({ width: WIDTH, height: HEIGHT }),
+    x, y;
+
+  for (y = 0; y < HEIGHT; ++y) {
+    for (x = 0; x < WIDTH; ++x) {
+      png.data.set(inHand(x - move[0], y - move[1]) ? SKIN : BACKGROUND, (y * WIDTH + x) * 4);
+    }
+  }
+  return PNG.sync.write(png);
+}
+
+function main(argv) {
+  var dir = path.resolve(argv[0] || path.join(__dirname, '..', 'replay', 'hand'));
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+  }
+  MOVES.forEach(function (move, i) {
+    var file = path.join(dir, ('000' + i).slice(-4) + '.png');
+
+    fs.writeFileSync(file, drawFrame(move));
+    console.log('wrote ' + path.relative(process.cwd(), file));
+  });
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Replays recorded frame sequences through the hand detection pipelines in
+ * Node and compares the results against the golden JSON stored next to the
+ * frames. Run after touching a cascade, a threshold or any of the detection
+ * code:
+ *
+ *   npm run replay                       replay every sequence in replay/
+ *   npm run replay -- replay/wave        replay one sequence
+ *   npm run replay -- --update           rewrite the goldens
+ *   npm run replay -- --pipeline objectdetect --tolerance 0.5
+ */
+
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+require('babel-register')({
+  babelrc: false,
+  presets: ['react-app'],
+  only: /\/src\//
+});
+
+var fs = require('fs');
+var path = require('path');
+var frames = require('./replay/frames');
+var golden = require('./replay/golden');
+var pipelines = require('./replay/pipelines');
+
+var SEQUENCES_DIR = path.join(__dirname, '..', 'replay');
+var DIGITS = 3;
+
+function parseArgs(argv) {
+  var args = { update: false, pipelines: null, tolerance: 0, dirs: [] };
+
+  for (var i = 0; i < argv.length; ++i) {
+    switch (argv[i]) {
+      case '--update':
+        args.update = true;
+        break;
+      case '--pipeline':
+        args.pipelines = (args.pipelines || []).concat(argv[++i]);
+        break;
+      case '--tolerance':
+        args.tolerance = parseFloat(argv[++i]);
+        break;
+      default:
+        args.dirs.push(argv[i]);
+    }
+  }
+
+  if (args.dirs.length === 0 && fs.existsSync(SEQUENCES_DIR)) {
+    args.dirs = fs.readdirSync(SEQUENCES_DIR).map(function (name) {
+      return path.join(SEQUENCES_DIR, name);
+    }).filter(function (dir) {
+      return fs.statSync(dir).isDirectory();
+    });
+  }
+  return args;
+}
+
+function replaySequence(sequence, names) {
+  var runners = {}, results = {};
+
+  names.forEach(function (name) {
+    if (!pipelines[name]) throw new Error('Unknown pipeline ' + name);
+    runners[name] = pipelines[name](sequence.options[name] || {}, sequence);
+    results[name] = [];
+  });
+
+  sequence.frames.forEach(function (file) {
+    var frame = frames.readFrame(sequence, file);
+    names.forEach(function (name) {
+      results[name].push(Object.assign({ frame: file }, golden.round(runners[name](frame), DIGITS)));
+    });
+  });
+  return results;
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2)),
+    failures = 0;
+
+  if (args.dirs.length === 0) {
+    // Nothing replayed is not a pass:
+    console.log('No frame sequences found in ' + SEQUENCES_DIR);
+    return 1;
+  }
+
+  args.dirs.forEach(function (dir) {
+    var sequence = frames.readSequence(dir),
+      names = args.pipelines || sequence.pipelines || Object.keys(pipelines),
+      results = replaySequence(sequence, names);
+
+    if (args.update || !fs.existsSync(sequence.goldenPath)) {
+      var stored = fs.existsSync(sequence.goldenPath) ?
+        JSON.parse(fs.readFileSync(sequence.goldenPath, 'utf8')) : {};
+      Object.keys(results).forEach(function (name) {
+        stored[name] = results[name];
+      });
+      fs.writeFileSync(sequence.goldenPath, JSON.stringify(stored, null, 2) + '\n');
+      console.log('WROTE ' + sequence.name + ' (' + sequence.frames.length + ' frames)');
+      return;
+    }
+
+    var expected = JSON.parse(fs.readFileSync(sequence.goldenPath, 'utf8'));
+    names.forEach(function (name) {
+      var differences = expected[name] ?
+        golden.compare(expected[name], results[name], args.tolerance, name) :
+        [name + ': no golden, run with --update'];
+
+      if (differences.length === 0) {
+        console.log('PASS ' + sequence.name + ' ' + name);
+      } else {
+        ++failures;
+        console.log('FAIL ' + sequence.name + ' ' + name);
+        differences.slice(0, 10).forEach(function (difference) {
+          console.log('  ' + difference);
+        });
+        if (differences.length > 10) {
+          console.log('  ... and ' + (differences.length - 10) + ' more');
+        }
+      }
+    });
+  });
+
+  return failures ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,111 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var PNG = require('pngjs').PNG;
+var resizeImageData = require('../../src/components/handDetectors.js').resizeImageData;
+
+var MANIFEST = 'sequence.json';
+var GOLDEN = 'golden.json';
+var FRAME_EXTENSIONS = ['.png', '.rgba'];
+
+/**
+ * Reads a recorded frame sequence from a directory. Frames are PNG files or
+ * raw RGBA dumps, replayed in file name order. Raw frames carry no size, so
+ * sequence.json has to give "width" and "height" for them. It may also hold
+ * per-pipeline options under "options", and the frame rate under "fps", 30 by
+ * default, which sets the timestamps of the frames.
+ *
+ * @param {String} dir Sequence directory
+ *
+ * @return {Object} Sequence description with the sorted frame file names
+ */
+function readSequence(dir) {
+  var manifestPath = path.join(dir, MANIFEST);
+  var manifest = fs.existsSync(manifestPath) ?
+    JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+
+  var frames = fs.readdirSync(dir).filter(function (file) {
+    return FRAME_EXTENSIONS.indexOf(path.extname(file).toLowerCase()) !== -1;
+  }).sort();
+
+  if (frames.length === 0) {
+    throw new Error('No .png or .rgba frames in ' + dir);
+  }
+
+  return {
+    name: path.basename(dir),
+    dir: dir,
+    goldenPath: path.join(dir, GOLDEN),
+    width: manifest.width,
+    height: manifest.height,
+    pipelines: manifest.pipelines,
+    fps: manifest.fps || 30,
+    options: manifest.options || {},
+    frames: frames
+  };
+}
+
+/**
+ * Loads one frame of a sequence as an ImageData-like object.
+ *
+ * @param {Object} sequence Sequence returned by readSequence()
+ * @param {String} file     Frame file name
+ *
+ * @return {Object} { name, time, width, height, data } with 4 bytes per
+ *                  pixel, time in ms from the first frame
+ */
+function readFrame(sequence, file) {
+  var buffer = fs.readFileSync(path.join(sequence.dir, file)),
+    time = Math.round(sequence.frames.indexOf(file) * 1000 / sequence.fps);
+
+  if (path.extname(file).toLowerCase() === '.png') {
+    var png = PNG.sync.read(buffer);
+    return {
+      name: file,
+      time: time,
+      width: png.width,
+      height: png.height,
+      data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length)
+    };
+  }
+
+  if (!sequence.width || !sequence.height) {
+    throw new Error(sequence.name + ': raw frames need width and height in ' + MANIFEST);
+  }
+  if (buffer.length !== sequence.width * sequence.height * 4) {
+    throw new Error(sequence.name + ': ' + file + ' is not ' +
+      sequence.width + 'x' + sequence.height + ' RGBA');
+  }
+  return {
+    name: file,
+    time: time,
+    width: sequence.width,
+    height: sequence.height,
+    data: new Uint8ClampedArray(buffer.buffer, buffer.byteOffset, buffer.length)
+  };
+}
+
+/**
+ * Bilinear resize of an RGBA frame, standing in for the drawImage() call the
+ * browser code uses to scale the video down. Uses the resize of the hand
+ * detectors, so both scale frames alike.
+ *
+ * @param {Object} frame  Source frame
+ * @param {Number} width  Target width
+ * @param {Number} height Target height
+ *
+ * @return {Object} Resized frame
+ */
+function resizeFrame(frame, width, height) {
+  var resized = resizeImageData(frame, width, height);
+
+  if (resized === frame) return frame;
+  return { name: frame.name, time: frame.time, width: width, height: height, data: resized.data };
+}
+
+module.exports = {
+  readSequence: readSequence,
+  readFrame: readFrame,
+  resizeFrame: resizeFrame
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Rounds every number in a result so goldens stay readable and do not churn
+ * on floating point noise.
+ */
+function round(value, digits) {
+  if (typeof value === 'number') {
+    var factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Array.prototype.map.call(value, function (item) {
+      return round(item, digits);
+    });
+  }
+  if (value && typeof value === 'object') {
+    var rounded = {};
+    Object.keys(value).forEach(function (key) {
+      rounded[key] = round(value[key], digits);
+    });
+    return rounded;
+  }
+  return value;
+}
+
+/**
+ * Lists the differences between a golden result and a replayed one.
+ *
+ * @param {*}      expected  Golden value
+ * @param {*}      actual    Replayed value
+ * @param {Number} tolerance Allowed absolute difference between numbers
+ * @param {String} [where]   Path of the compared values, for the messages
+ *
+ * @return {Array} Human readable differences, empty if both match
+ */
+function compare(expected, actual, tolerance, where) {
+  where = where || '';
+
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(expected - actual) <= tolerance ? [] :
+      [where + ': expected ' + expected + ', got ' + actual];
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    var differences = [];
+    if (expected.length !== actual.length) {
+      differences.push(where + ': expected ' + expected.length + ' items, got ' + actual.length);
+    }
+    for (var i = 0, len = Math.min(expected.length, actual.length); i < len; ++i) {
+      differences = differences.concat(compare(expected[i], actual[i], tolerance, where + '[' + i + ']'));
+    }
+    return differences;
+  }
+
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+      !Array.isArray(expected) && !Array.isArray(actual)) {
+    var keys = Object.keys(expected).concat(Object.keys(actual).filter(function (key) {
+      return !(key in expected);
+    }));
+    return keys.reduce(function (differences, key) {
+      return differences.concat(compare(expected[key], actual[key], tolerance, where + '.' + key));
+    }, []);
+  }
+
+  return expected === actual ? [] :
+    [where + ': expected ' + JSON.stringify(expected) + ', got ' + JSON.stringify(actual)];
+}
+
+module.exports = {
+  round: round,
+  compare: compare
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var resizeFrame = require('./frames').resizeFrame;
+var objectdetect = require('../../src/components/handDetection2.js').objectdetect;
+var HT = require('../../src/components/handDetection.js').HT;
+var HaarCascadeLoader = require('../../src/components/haarCascadeLoader.js').HaarCascadeLoader;
+var ClassifierRegistry = require('../../src/components/classifierRegistry.js').ClassifierRegistry;
+
+var CLASSIFIERS_DIR = path.join(__dirname, '..', '..', 'public', 'classifiers');
+
+/**
+ * Each pipeline is a factory taking the sequence options for that pipeline
+ * and the sequence itself, and returning a function that maps one frame to a JSON-serializable
+ * result. Factories are called once per sequence, so pipelines can keep
+ * state across frames exactly like the browser code does.
+ */
+
+// The classifier assets the browser fetches through ClassifierRegistry:
+function readClassifier(name) {
+  var base = path.join(CLASSIFIERS_DIR, name),
+    data;
+
+  if (!fs.existsSync(base + '.json')) return null;
+
+  data = fs.readFileSync(base + '.bin');
+  return ClassifierRegistry.decode(JSON.parse(fs.readFileSync(base + '.json', 'utf8')),
+    data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+}
+
+// OpenCV cascade XML files given as { name: file }, relative to the sequence:
+function loadCascades(cascades, sequence) {
+  var loaded = {};
+  Object.keys(cascades || {}).forEach(function (name) {
+    var file = path.resolve(sequence.dir, cascades[name]);
+    loaded[name] = HaarCascadeLoader.parse(fs.readFileSync(file, 'utf8'));
+  });
+  return loaded;
+}
+
+// Haar cascades, set up the way HandGestureSession sets them up:
+function createObjectdetect(options, sequence) {
+  var cascades = loadCascades(options.cascades, sequence),
+    classifiers = options.classifiers || ['handopen', 'handfist'],
+    detectionHeight = options.height || 140,
+    scaleFactor = options.scaleFactor || 1.1,
+    minNeighbors = options.minNeighbors || 3,
+    stepSize = options.stepSize || 1,
+    detector = null,
+    width, height;
+
+  return function (frame) {
+    if (!detector) {
+      var byName = {};
+      height = detectionHeight;
+      width = ~~(height * frame.width / frame.height);
+      classifiers.forEach(function (name) {
+        byName[name] = cascades[name] || readClassifier(name);
+        if (!byName[name]) throw new Error('Unknown classifier ' + name);
+      });
+      detector = new objectdetect.multiDetector(width, height, scaleFactor, byName);
+    }
+
+    var pixels = resizeFrame(frame, width, height).data,
+      scaleX = frame.width / width,
+      scaleY = frame.height / height,
+      rects = detector.detectPixels(pixels, minNeighbors, stepSize, null, options.canny),
+      result = {};
+
+    classifiers.forEach(function (name) {
+      result[name] = rects[name].map(function (rect) {
+        // Back to frame coordinates, neighbor count kept as fifth value:
+        return [rect[0] * scaleX, rect[1] * scaleY, rect[2] * scaleX, rect[3] * scaleY, rect[4]];
+      });
+    });
+    return result;
+  };
+}
+
+// Skin colour contour tracking from handDetection.js:
+function createHandtracking(options) {
+  var tracker = new HT.Tracker(options),
+    scale = options.scale || 1;
+
+  function point(p) {
+    return [p.x / scale, p.y / scale];
+  }
+
+  return function (frame) {
+    var image = resizeFrame(frame, Math.round(frame.width * scale), Math.round(frame.height * scale)),
+      candidate = tracker.detect(image, frame.time);
+
+    if (!candidate) return { candidate: null };
+
+    var fingers = candidate.countFingers(options.fingers);
+    return {
+      candidate: {
+        hull: candidate.hull.map(point),
+        defects: candidate.defects.map(function (defect) {
+          return point(defect.depthPoint).concat(defect.depth / scale);
+        }),
+        fingers: {
+          count: fingers.count,
+          fingertips: fingers.fingertips.map(point),
+          confidence: fingers.confidence
+        }
+      }
+    };
+  };
+}
+
+// The JSHG worker, loaded into a sandbox that plays the worker global scope:
+var JSHG_WORKER = path.join(__dirname, '..', '..', 'public', 'jshg', 'gestureRecognizer.js');
+
+function createJshg(options) {
+  var listeners = [],
+    responses = [],
+    initialized = false,
+    sandbox = {
+      self: {
+        addEventListener: function (type, listener) {
+          listeners.push(listener);
+        },
+        postMessage: function (message) {
+          responses.push(message);
+        }
+      },
+      Uint8Array: Uint8Array,
+      Int32Array: Int32Array
+    };
+
+  vm.runInNewContext(fs.readFileSync(JSHG_WORKER, 'utf8'), sandbox, { filename: JSHG_WORKER });
+
+  function request(type, data) {
+    responses = [];
+    listeners.forEach(function (listener) {
+      listener({ data: { type: type, data: data } });
+    });
+    return responses[0] && responses[0].data;
+  }
+
+  // Same default as JSHG.initLearningPoints_:
+  function defaultLearningPoints(frame) {
+    var x = frame.width / 2, y = frame.height / 2, r = Math.min(frame.width / 4, 60);
+    return [[x, y - r], [x - r, y], [x, y], [x + r, y], [x, y + r]];
+  }
+
+  return function (frame) {
+    if (!initialized) {
+      initialized = true;
+      request('initRequest', {
+        debugMode: false,
+        learningPoints: options.learningPoints || defaultLearningPoints(frame),
+        skinColors: options.skinColors || null,
+        configs: options.configs,
+        responseScale: [1, 1],
+        responseThreshImage: false
+      });
+      if (options.learn) {
+        request('learningRequest', frame);
+      }
+    }
+
+    var handInfo = request('detectRequest', frame);
+    return {
+      handPos: handInfo.handPos,
+      fingers: handInfo.fingers
+    };
+  };
+}
+
+module.exports = {
+  objectdetect: createObjectdetect,
+  handtracking: createHandtracking,
+  jshg: createJshg
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Runs the skin segmentations of HT (handDetection.js) over recorded frame
+ * sequences and compares them. Where a sequence has objectdetect goldens,
+ * the strongest Haar detection of each frame is taken as the hand, and the
+ * masks are scored against its box:
+ *
+ *   ms         time per mask
+ *   skin       share of the frame flagged as skin
+ *   precision  share of the skin pixels inside the hand box
+ *   recall     share of the hand box flagged as skin
+ *   hits       frames where HT.Tracker finds a hand centred in the box
+ *
+ *   npm run benchmark:skin                       every sequence in replay/
+ *   npm run benchmark:skin -- replay/wave        one sequence
+ *   npm run benchmark:skin -- --skinner hsv --skinner ycbcr
+ *
+ * The histogram segmentation is trained on the first frame, around the
+ * centre of the hand box or of the frame.
+ */
+
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+require('babel-register')({
+  babelrc: false,
+  presets: ['react-app'],
+  only: /\/src\//
+});
+
+var fs = require('fs');
+var path = require('path');
+var frames = require('./replay/frames');
+var handDetection = require('../src/components/handDetection.js');
+
+var CV = handDetection.CV;
+var HT = handDetection.HT;
+
+var SEQUENCES_DIR = path.join(__dirname, '..', 'replay');
+var WIDTH = 160;
+var TRAINING_POINTS = [[0.5, 0.45], [0.45, 0.5], [0.5, 0.5], [0.55, 0.5], [0.5, 0.55]];
+
+function parseArgs(argv) {
+  var args = { skinners: null, dirs: [] };
+
+  for (var i = 0; i < argv.length; ++i) {
+    if (argv[i] === '--skinner') {
+      args.skinners = (args.skinners || []).concat(argv[++i]);
+    } else {
+      args.dirs.push(argv[i]);
+    }
+  }
+
+  if (args.dirs.length === 0 && fs.existsSync(SEQUENCES_DIR)) {
+    args.dirs = fs.readdirSync(SEQUENCES_DIR).map(function (name) {
+      return path.join(SEQUENCES_DIR, name);
+    }).filter(function (dir) {
+      return fs.statSync(dir).isDirectory();
+    });
+  }
+  args.skinners = args.skinners || Object.keys(HT.SKINNERS);
+  return args;
+}
+
+// Strongest Haar detection of every frame by file name, in frame coordinates:
+function readHandBoxes(sequence) {
+  var boxes = {};
+
+  if (!fs.existsSync(sequence.goldenPath)) return boxes;
+
+  (JSON.parse(fs.readFileSync(sequence.goldenPath, 'utf8')).objectdetect || []).forEach(function (result) {
+    var best = null;
+    Object.keys(result).forEach(function (name) {
+      if (!Array.isArray(result[name])) return;
+      result[name].forEach(function (rect) {
+        if (!best || rect[4] > best[4]) best = rect;
+      });
+    });
+    boxes[result.frame] = best;
+  });
+  return boxes;
+}
+
+function trainingPoints(box, image) {
+  box = box || [0, 0, image.width, image.height];
+  return TRAINING_POINTS.map(function (point) {
+    return [box[0] + point[0] * box[2], box[1] + point[1] * box[3]];
+  });
+}
+
+function scaleBox(box, scale) {
+  return box && box.slice(0, 4).map(function (value) {
+    return value * scale;
+  });
+}
+
+function inBox(x, y, box) {
+  return x >= box[0] && x < box[0] + box[2] && y >= box[1] && y < box[1] + box[3];
+}
+
+function benchmark(name, images, boxes) {
+  var skinner = HT.createSkinner(name),
+    tracker = new HT.Tracker({ skinner: skinner }),
+    mask = new CV.Image(),
+    totals = { time: 0, skin: 0, pixels: 0, inside: 0, boxPixels: 0, hits: 0, scored: 0 };
+
+  if (skinner.train) {
+    skinner.train(images[0], trainingPoints(boxes[0], images[0]));
+  }
+
+  images.forEach(function (image, i) {
+    var box = boxes[i],
+      start = process.hrtime(),
+      elapsed, candidate, bounds;
+
+    skinner.mask(image, mask);
+    elapsed = process.hrtime(start);
+    totals.time += elapsed[0] * 1e3 + elapsed[1] / 1e6;
+
+    for (var y = 0, index = 0; y < image.height; ++y) {
+      for (var x = 0; x < image.width; ++x, ++index) {
+        if (!mask.data[index]) continue;
+        ++totals.skin;
+        if (box && inBox(x, y, box)) ++totals.inside;
+      }
+    }
+    totals.pixels += image.width * image.height;
+
+    if (box) {
+      ++totals.scored;
+      totals.boxPixels += box[2] * box[3];
+      candidate = tracker.detect(image);
+      if (candidate) {
+        bounds = candidate.boundingBox();
+        if (inBox(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, box)) ++totals.hits;
+      }
+    }
+  });
+
+  return {
+    skinner: name,
+    ms: totals.time / images.length,
+    skin: totals.skin / totals.pixels,
+    precision: totals.scored && totals.skin ? totals.inside / totals.skin : null,
+    recall: totals.scored ? totals.inside / totals.boxPixels : null,
+    hits: totals.scored ? totals.hits + '/' + totals.scored : null
+  };
+}
+
+function format(value) {
+  if (value === null) return '-';
+  return typeof value === 'number' ? value.toFixed(3) : String(value);
+}
+
+function main() {
+  var args = parseArgs(process.argv.slice(2));
+
+  if (args.dirs.length === 0) {
+    console.log('No frame sequences found in ' + SEQUENCES_DIR);
+    return 0;
+  }
+
+  args.dirs.forEach(function (dir) {
+    var sequence = frames.readSequence(dir),
+      handBoxes = readHandBoxes(sequence),
+      images = [],
+      boxes = [];
+
+    sequence.frames.forEach(function (file) {
+      var frame = frames.readFrame(sequence, file),
+        height = Math.round(WIDTH * frame.height / frame.width);
+
+      images.push(frames.resizeFrame(frame, WIDTH, height));
+      boxes.push(scaleBox(handBoxes[file], WIDTH / frame.width));
+    });
+
+    console.log(sequence.name + ' (' + images.length + ' frames)');
+    console.log(['skinner', 'ms', 'skin', 'precision', 'recall', 'hits'].join('\t'));
+    args.skinners.forEach(function (name) {
+      var result = benchmark(name, images, boxes);
+      console.log([result.skinner, result.ms, result.skin, result.precision, result.recall, result.hits]
+        .map(format).join('\t'));
+    });
+  });
+  return 0;
+}
+
+process.exitCode = main();
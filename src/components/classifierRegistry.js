@@ -0,0 +1,207 @@
+//ClassifierRegistry.js
+/**
+ * Classifiers for objectdetect, fetched on demand instead of being bundled.
+ * Each classifier is stored in public/classifiers/ as two files:
+ *
+ *     <name>.json  header: { name, format, length, width, height, tilted, stages }
+ *     <name>.bin   the classifier array as little-endian Float32 values
+ *
+ * The files are written by scripts/classifiers.js. Loaded classifiers are
+ * kept in memory, so each one is fetched once per page load however many
+ * detectors use it.
+ */
+var ClassifierRegistry = {
+    // Relative to PUBLIC_URL, for builds served from a subpath:
+    baseUrl: (process.env.PUBLIC_URL || '') + '/classifiers/',
+    FORMAT: 'objectdetect-float32',
+    classifiers: {},
+    requests: {}
+};
+
+var fetchAsset = function (url, type) {
+    return fetch(url).then(function (response) {
+        if (!response.ok) {
+            throw new Error(url + ' responded ' + response.status);
+        }
+        return response[type]();
+    });
+};
+
+/**
+ * Makes a classifier available under a name without fetching it, e.g. one
+ * converted with HaarCascadeLoader.
+ *
+ * @param {String}       name       Registry name
+ * @param {Float32Array} classifier objectdetect classifier
+ */
+ClassifierRegistry.register = function (name, classifier) {
+    ClassifierRegistry.validate(classifier);
+    ClassifierRegistry.classifiers[name] = classifier;
+};
+
+/**
+ * @param {String} name Registry name
+ *
+ * @return {Float32Array} The classifier if it is loaded, null otherwise
+ */
+ClassifierRegistry.get = function (name) {
+    return ClassifierRegistry.classifiers[name] || null;
+};
+
+/**
+ * Fetches a classifier, or returns the one already loaded. A failed load is
+ * not cached, so it can be retried.
+ *
+ * @param {String} name Registry name, the base name of the asset files
+ *
+ * @return {Promise} Resolves with the classifier, rejects with an Error if
+ *                   the files are missing or do not hold a valid classifier
+ */
+ClassifierRegistry.load = function (name) {
+    var url = ClassifierRegistry.baseUrl + name;
+
+    if (ClassifierRegistry.classifiers[name]) {
+        return Promise.resolve(ClassifierRegistry.classifiers[name]);
+    }
+    if (!ClassifierRegistry.requests[name]) {
+        ClassifierRegistry.requests[name] = Promise.all([
+            fetchAsset(url + '.json', 'json'),
+            fetchAsset(url + '.bin', 'arrayBuffer')
+        ]).then(function (assets) {
+            var classifier = ClassifierRegistry.decode(assets[0], assets[1]);
+
+            ClassifierRegistry.classifiers[name] = classifier;
+            delete ClassifierRegistry.requests[name];
+            return classifier;
+        }, function (error) {
+            delete ClassifierRegistry.requests[name];
+            throw new Error('Could not load classifier ' + name + ': ' + error.message);
+        });
+    }
+    return ClassifierRegistry.requests[name];
+};
+
+/**
+ * Loads several classifiers at once.
+ *
+ * @param {Array} names Registry names
+ *
+ * @return {Promise} Resolves with the classifiers by name
+ */
+ClassifierRegistry.loadAll = function (names) {
+    return Promise.all(names.map(ClassifierRegistry.load)).then(function (classifiers) {
+        var byName = {};
+        names.forEach(function (name, i) {
+            byName[name] = classifiers[i];
+        });
+        return byName;
+    });
+};
+
+/**
+ * Builds the asset files of a classifier.
+ *
+ * @param {String} name       Registry name
+ * @param {Array}  classifier objectdetect classifier
+ *
+ * @return {Object} { header, data }, the header object and an ArrayBuffer
+ */
+ClassifierRegistry.encode = function (name, classifier) {
+    var stages = ClassifierRegistry.validate(classifier),
+        data = new ArrayBuffer(classifier.length * 4),
+        view = new DataView(data);
+
+    for (var i = 0; i < classifier.length; ++i) {
+        view.setFloat32(i * 4, classifier[i], true);
+    }
+
+    return {
+        header: {
+            name: name,
+            format: ClassifierRegistry.FORMAT,
+            length: classifier.length,
+            width: classifier[0],
+            height: classifier[1],
+            tilted: !!classifier.tilted,
+            stages: stages
+        },
+        data: data
+    };
+};
+
+/**
+ * Reads a classifier from its asset files and checks it against its header.
+ *
+ * @param {Object}      header JSON header
+ * @param {ArrayBuffer} data   Float32 values
+ *
+ * @return {Float32Array} Classifier, with tilted set from the header
+ */
+ClassifierRegistry.decode = function (header, data) {
+    var view, classifier;
+
+    if (header.format !== ClassifierRegistry.FORMAT) {
+        throw new Error('Unknown classifier format ' + header.format);
+    }
+    if (data.byteLength !== header.length * 4) {
+        throw new Error('Classifier ' + header.name + ' has ' + data.byteLength +
+            ' bytes, its header announces ' + header.length * 4);
+    }
+
+    view = new DataView(data);
+    classifier = new Float32Array(header.length);
+    for (var i = 0; i < header.length; ++i) {
+        classifier[i] = view.getFloat32(i * 4, true);
+    }
+    classifier.tilted = header.tilted;
+
+    if (classifier[0] !== header.width || classifier[1] !== header.height) {
+        throw new Error('Classifier ' + header.name + ' is ' + classifier[0] + 'x' + classifier[1] +
+            ', its header announces ' + header.width + 'x' + header.height);
+    }
+    if (ClassifierRegistry.validate(classifier) !== header.stages) {
+        throw new Error('Classifier ' + header.name + ' does not have the ' + header.stages +
+            ' stages its header announces');
+    }
+    return classifier;
+};
+
+/**
+ * Walks the stages of a classifier to make sure compileClassifier() and the
+ * detector will not read past its end.
+ *
+ * @param {Array} classifier objectdetect classifier
+ *
+ * @return {Number} Number of stages
+ */
+ClassifierRegistry.validate = function (classifier) {
+    var length = classifier.length,
+        stages = 0,
+        i = 2;
+
+    if (length < 2 || !(classifier[0] > 0) || !(classifier[1] > 0)) {
+        throw new Error('Invalid classifier: no window size');
+    }
+
+    while (i < length) {
+        var numTrees = classifier[i + 1];
+        if (i + 2 > length || !(numTrees > 0)) {
+            throw new Error('Invalid classifier: stage ' + stages + ' has no trees');
+        }
+        i += 2;
+        for (var j = 0; j < numTrees; ++j) {
+            var numRects = classifier[i + 1];
+            if (i + 2 > length || !(numRects > 0)) {
+                throw new Error('Invalid classifier: tree ' + j + ' of stage ' + stages + ' has no rects');
+            }
+            i += 2 + numRects * 5 + 3;
+        }
+        if (i > length) {
+            throw new Error('Invalid classifier: stage ' + stages + ' is cut off');
+        }
+        ++stages;
+    }
+    return stages;
+};
+
+export { ClassifierRegistry };
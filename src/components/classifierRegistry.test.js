@@ -0,0 +1,94 @@
+import { ClassifierRegistry } from './classifierRegistry.js';
+
+// Two stages: one of two trees, one of a single tree
+const CLASSIFIER = [
+    20, 24,
+    -1.25, 2,
+        0, 2, 2, 7, 16, 4, -1, 2, 9, 16, 2, 2, 0.25, -0.75, 0.5,
+        1, 2, 4, 2, 6, 6, -1, 7, 2, 3, 6, 2, -0.125, 0.5, -1.5,
+    0.5, 1,
+        0, 2, 0, 0, 20, 12, -1, 0, 6, 20, 6, 2, 0.5, 1, -1
+];
+
+describe('ClassifierRegistry.validate', () => {
+    it('counts the stages', () => {
+        expect(ClassifierRegistry.validate(CLASSIFIER)).toBe(2);
+    });
+
+    it('rejects a classifier without a window size', () => {
+        expect(() => ClassifierRegistry.validate([20])).toThrow(/no window size/);
+        expect(() => ClassifierRegistry.validate([0, 24].concat(CLASSIFIER.slice(2)))).toThrow(/no window size/);
+    });
+
+    it('rejects a stage without trees', () => {
+        expect(() => ClassifierRegistry.validate(CLASSIFIER.concat([0.5, 0]))).toThrow(/stage 2 has no trees/);
+        expect(() => ClassifierRegistry.validate(CLASSIFIER.concat([0.5]))).toThrow(/stage 2 has no trees/);
+    });
+
+    it('rejects a tree without rects', () => {
+        const classifier = CLASSIFIER.slice(0);
+
+        classifier[4 + 15 + 1] = 0;
+        expect(() => ClassifierRegistry.validate(classifier)).toThrow(/tree 1 of stage 0 has no rects/);
+    });
+
+    it('rejects a classifier cut off in a stage', () => {
+        expect(() => ClassifierRegistry.validate(CLASSIFIER.slice(0, -1))).toThrow(/stage 1 is cut off/);
+    });
+});
+
+describe('ClassifierRegistry.decode', () => {
+    const classifier = Object.assign(new Float32Array(CLASSIFIER), { tilted: true });
+    const encoded = () => ClassifierRegistry.encode('hand', classifier);
+
+    it('reads what encode() writes', () => {
+        const assets = encoded();
+        const decoded = ClassifierRegistry.decode(assets.header, assets.data);
+
+        expect(assets.header).toEqual({
+            name: 'hand',
+            format: ClassifierRegistry.FORMAT,
+            length: CLASSIFIER.length,
+            width: 20,
+            height: 24,
+            tilted: true,
+            stages: 2
+        });
+        expect(Array.from(decoded)).toEqual(CLASSIFIER);
+        expect(decoded.tilted).toBe(true);
+    });
+
+    it('rejects an unknown format', () => {
+        const assets = encoded();
+
+        assets.header.format = 'json';
+        expect(() => ClassifierRegistry.decode(assets.header, assets.data)).toThrow(/Unknown classifier format json/);
+    });
+
+    it('rejects data of another length than the header', () => {
+        const assets = encoded();
+
+        expect(() => ClassifierRegistry.decode(assets.header, assets.data.slice(4))).toThrow(/header announces/);
+    });
+
+    it('rejects another window size than the header', () => {
+        const assets = encoded();
+
+        assets.header.width = 24;
+        expect(() => ClassifierRegistry.decode(assets.header, assets.data)).toThrow(/is 20x24, its header announces 24x24/);
+    });
+
+    it('rejects another number of stages than the header', () => {
+        const assets = encoded();
+
+        assets.header.stages = 3;
+        expect(() => ClassifierRegistry.decode(assets.header, assets.data)).toThrow(/does not have the 3 stages/);
+    });
+
+    it('rejects data that is no classifier', () => {
+        const assets = encoded();
+
+        new DataView(assets.data).setFloat32(4 * 3, 0, true);
+        expect(() => ClassifierRegistry.decode(assets.header, assets.data)).toThrow(/stage 0 has no trees/);
+    });
+});
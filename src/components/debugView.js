@@ -0,0 +1,77 @@
+//DebugView.js
+/**
+ * Draws the intermediate images of a detector side by side, to see what the
+ * cascades get to see with the preprocessing options in use. Steps that are
+ * switched off are left out.
+ */
+var DebugView = {
+    LABELS: {
+        gray: 'gray',
+        preprocessed: 'preprocessed',
+        edges: 'edges'
+    },
+    // Offscreen canvas of each step, redrawn every frame
+    canvases: {}
+};
+
+/**
+ * @param {Element} canvas Canvas to draw on, cleared first
+ * @param {Object}  images Images by step, each { width, height, data } with
+ *                         8-bit grayscale data, e.g. HaarDetector#getDebugImages
+ */
+DebugView.draw = function (canvas, images) {
+    var context = canvas.getContext('2d'),
+        steps = Object.keys(DebugView.LABELS).filter(function (step) {
+            return images && images[step];
+        }),
+        x = 0;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (steps.length === 0) return;
+
+    var width = canvas.width / steps.length;
+
+    steps.forEach(function (step) {
+        var image = images[step],
+            scale = Math.min(width / image.width, canvas.height / image.height);
+
+        context.drawImage(DebugView.toCanvas(image, step), x, 0, image.width * scale, image.height * scale);
+        context.font = '12px sans-serif';
+        context.fillStyle = '#ff0';
+        context.fillText(DebugView.LABELS[step], x + 4, 14);
+        x += width;
+    });
+};
+
+/**
+ * Expands a grayscale image to RGBA on the offscreen canvas of its step. The
+ * canvas and its pixel buffer are kept and only resized when the image size
+ * changes.
+ *
+ * @param {Object} image Grayscale image
+ * @param {String} step  Step the image belongs to
+ *
+ * @return {Element} The offscreen canvas
+ */
+DebugView.toCanvas = function (image, step) {
+    var offscreen = DebugView.canvases[step],
+        canvas, pixels;
+
+    if (!offscreen || offscreen.canvas.width !== image.width || offscreen.canvas.height !== image.height) {
+        canvas = offscreen ? offscreen.canvas : document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        offscreen = DebugView.canvases[step] = { canvas: canvas, context: canvas.getContext('2d') };
+        offscreen.imageData = offscreen.context.createImageData(image.width, image.height);
+    }
+
+    pixels = offscreen.imageData.data;
+    for (var i = 0, j = 0; i < image.data.length; ++i, j += 4) {
+        pixels[j] = pixels[j + 1] = pixels[j + 2] = image.data[i];
+        pixels[j + 3] = 255;
+    }
+    offscreen.context.putImageData(offscreen.imageData, 0, 0);
+    return offscreen.canvas;
+};
+
+export { DebugView };
@@ -0,0 +1,59 @@
+import { DebugView } from './debugView.js';
+
+const fakeContext = () => ({
+    clearRect: jest.fn(),
+    drawImage: jest.fn(),
+    fillText: jest.fn(),
+    putImageData: jest.fn(),
+    createImageData: (width, height) => ({ width: width, height: height, data: new Uint8ClampedArray(width * height * 4) })
+});
+
+const fakeCanvas = () => {
+    const context = fakeContext();
+
+    return { width: 300, height: 100, getContext: () => context };
+};
+
+const image = (width, height, value) => ({ width: width, height: height, data: new Uint8Array(width * height).fill(value) });
+
+describe('DebugView.draw', () => {
+    const createElement = document.createElement;
+
+    beforeEach(() => {
+        DebugView.canvases = {};
+        document.createElement = jest.fn(fakeCanvas);
+    });
+
+    afterEach(() => {
+        document.createElement = createElement;
+    });
+
+    it('draws every step that has an image', () => {
+        const canvas = fakeCanvas();
+
+        DebugView.draw(canvas, { gray: image(4, 3, 10), edges: image(4, 3, 255) });
+
+        expect(canvas.getContext().drawImage).toHaveBeenCalledTimes(2);
+        expect(canvas.getContext().fillText.mock.calls.map((call) => call[0])).toEqual(['gray', 'edges']);
+    });
+
+    it('keeps one offscreen canvas per step across frames', () => {
+        const canvas = fakeCanvas();
+
+        DebugView.draw(canvas, { gray: image(4, 3, 10), edges: image(4, 3, 255) });
+        DebugView.draw(canvas, { gray: image(4, 3, 20), edges: image(4, 3, 0) });
+        DebugView.draw(canvas, { gray: image(4, 3, 30), edges: image(4, 3, 255) });
+
+        expect(document.createElement).toHaveBeenCalledTimes(2);
+        expect(DebugView.canvases.gray.imageData.data.slice(0, 4)).toEqual(new Uint8ClampedArray([30, 30, 30, 255]));
+    });
+
+    it('resizes the offscreen canvas for a new image size', () => {
+        DebugView.draw(fakeCanvas(), { gray: image(4, 3, 10) });
+        DebugView.draw(fakeCanvas(), { gray: image(8, 6, 10) });
+
+        expect(document.createElement).toHaveBeenCalledTimes(1);
+        expect(DebugView.canvases.gray.canvas.width).toBe(8);
+        expect(DebugView.canvases.gray.imageData.data.length).toBe(8 * 6 * 4);
+    });
+});
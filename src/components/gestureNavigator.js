@@ -0,0 +1,134 @@
+import { GestureSequence } from './gestureSequence.js';
+import { HandGestureSession } from './handGestureSession.js';
+
+//GestureNavigator.js
+/**
+ * Lets a page be left with a hand pose instead of a button click. Watches the
+ * camera for the poses of a mapping and runs the action of a pose once it has
+ * been held long enough. Each pose is a one-step GestureSequence with a hold,
+ * so a hand briefly passing through a pose does not navigate. A pose shown
+ * when the page comes up, e.g. the fist that ended the previous page, only
+ * counts once it has been released for longer than maxGap. The detectors
+ * miss a held hand in a single frame now and then, that is no release.
+ *
+ *     new GestureNavigator({
+ *         video: video,
+ *         canvas: canvas,
+ *         actions: { open: start, fist: restart }
+ *     }).start();
+ *
+ * @param {Object}   config
+ * @param {Element}  config.video           Video element receiving the stream
+ * @param {Element}  config.canvas          Canvas the feed is drawn on
+ * @param {Object}   config.actions         Function to run by pose
+ * @param {Number}   [config.hold]          Time in ms a pose has to be held
+ * @param {Number}   [config.maxGap]        Time in ms a pose may be missed
+ *                                          without counting as released, or
+ *                                          breaking a hold.
+ *                                          GestureSequence.DEFAULT_MAX_GAP
+ *                                          by default
+ * @param {Boolean}  [config.mirror]        Show the feed mirrored, true by
+ *                                          default
+ * @param {String}   [config.engine]        Hand detection engine, see
+ *                                          HandGestureSession
+ * @param {Object}   [config.engineOptions] Options of the engine's detector
+ * @param {Function} [config.onProgress]    Called with (pose, progress in
+ *                                          [0, 1]) while a pose is held
+ * @param {Function} [config.onError]       Called when the camera or the
+ *                                          detector fails
+ */
+var GestureNavigator = function (config) {
+    var that = this;
+
+    this.config = config || {};
+    this.actions = this.config.actions || {};
+    this.maxGap = this.config.maxGap !== undefined ? this.config.maxGap : GestureSequence.DEFAULT_MAX_GAP;
+    this.done = false;
+    this.armed = {};
+    this.lastSeen = {};
+
+    this.sequences = Object.keys(this.actions).map(function (pose) {
+        return new GestureSequence([{
+            gesture: pose,
+            hold: that.config.hold || GestureNavigator.DEFAULT_HOLD,
+            maxGap: that.maxGap
+        }], {
+            onProgress: function (progress) {
+                if (that.config.onProgress && !that.done) {
+                    that.config.onProgress(pose, progress.progress);
+                }
+            },
+            onComplete: function () {
+                that.trigger(pose);
+            }
+        });
+    });
+
+    this.session = new HandGestureSession({
+        video: this.config.video,
+        canvas: this.config.canvas,
+        mirror: this.config.mirror !== undefined ? this.config.mirror : true,
+        engine: this.config.engine,
+        engineOptions: this.config.engineOptions,
+        sequence: false,
+        poses: Object.keys(this.actions),
+        onObservations: function (observations) {
+            that.update(observations, Date.now());
+        },
+        onError: this.config.onError
+    });
+};
+
+GestureNavigator.DEFAULT_HOLD = 1000;
+
+GestureNavigator.prototype.start = function () {
+    this.done = false;
+    this.armed = {};
+    this.lastSeen = {};
+    this.sequences.forEach(function (sequence) {
+        sequence.reset();
+    });
+    this.session.start();
+};
+
+GestureNavigator.prototype.update = function (observations, now) {
+    var poses = {},
+        that = this;
+
+    if (this.done) return;
+
+    Object.keys(this.actions).forEach(function (pose) {
+        var observation = HandGestureSession.bestObservation(observations, pose),
+            lastSeen = that.lastSeen[pose];
+
+        // A pose still held from before the page does not count. It is
+        // released once missed for longer than a gap in the detections:
+        if (lastSeen === undefined ? !observation : now - lastSeen > that.maxGap) {
+            that.armed[pose] = true;
+        }
+        if (observation) {
+            that.lastSeen[pose] = now;
+        }
+        poses[pose] = that.armed[pose] ? observation : null;
+    });
+    for (var i = 0; i < this.sequences.length && !this.done; ++i) {
+        this.sequences[i].update(poses, now);
+    }
+};
+
+/**
+ * Runs the action of a pose, once: the page is expected to go away.
+ */
+GestureNavigator.prototype.trigger = function (pose) {
+    this.done = true;
+    this.session.stop();
+    this.actions[pose]();
+};
+
+GestureNavigator.prototype.dispose = function () {
+    this.session.dispose();
+    this.sequences = [];
+    this.actions = {};
+};
+
+export { GestureNavigator };
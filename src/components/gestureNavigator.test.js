@@ -0,0 +1,113 @@
+import { GestureNavigator } from './gestureNavigator.js';
+
+const hand = (pose) => ({ pose: pose, box: [0.1, 0.1, 0.2, 0.2], confidence: 1 });
+
+// The camera is never started: frames are fed to update() by the tests
+const createNavigator = (actions, config) => new GestureNavigator(Object.assign({
+    video: {},
+    canvas: { getContext: () => ({}) },
+    actions: actions,
+    hold: 1000
+}, config));
+
+// Feeds the poses frame by frame, 100 ms apart from time start
+const run = (navigator, poses, start) => poses.forEach((pose, i) => {
+    navigator.update(pose ? [hand(pose)] : [], (start || 0) + i * 100);
+});
+
+const repeat = (pose, count) => new Array(count).fill(pose);
+
+describe('GestureNavigator#update', () => {
+    it('runs the action of a pose held long enough', () => {
+        const actions = { open: jest.fn(), fist: jest.fn() };
+        const navigator = createNavigator(actions);
+
+        run(navigator, [null].concat(repeat('open', 10)));
+        expect(actions.open).not.toHaveBeenCalled();
+
+        navigator.update([hand('open')], 1100);
+        expect(actions.open).toHaveBeenCalledTimes(1);
+        expect(actions.fist).not.toHaveBeenCalled();
+    });
+
+    it('reports the hold progress', () => {
+        const onProgress = jest.fn();
+        const navigator = createNavigator({ open: jest.fn() }, { onProgress: onProgress });
+
+        run(navigator, [null, 'open', 'open', 'open', 'open', 'open', 'open']);
+        expect(onProgress).toHaveBeenLastCalledWith('open', 0.5);
+    });
+
+    it('does not run the action of a pose passed through', () => {
+        const actions = { open: jest.fn() };
+        const navigator = createNavigator(actions);
+
+        run(navigator, [null].concat(repeat('open', 5), repeat(null, 5), repeat('open', 6)));
+        expect(actions.open).not.toHaveBeenCalled();
+    });
+
+    it('runs one action, once, and stops the session', () => {
+        const actions = { open: jest.fn(), fist: jest.fn() };
+        const navigator = createNavigator(actions);
+        const stop = navigator.session.stop = jest.fn();
+
+        navigator.update([], 0);
+        for (let now = 100; now <= 1100; now += 100) {
+            navigator.update([hand('open'), hand('fist')], now);
+        }
+        navigator.update([hand('fist')], 1200);
+
+        expect(actions.open).toHaveBeenCalledTimes(1);
+        expect(actions.fist).not.toHaveBeenCalled();
+        expect(stop).toHaveBeenCalledTimes(1);
+    });
+
+    it('waits for a pose shown from the start to be released', () => {
+        const actions = { fist: jest.fn() };
+        const navigator = createNavigator(actions);
+
+        run(navigator, repeat('fist', 20));
+        expect(actions.fist).not.toHaveBeenCalled();
+
+        // Released for 500 ms, longer than the default maxGap:
+        run(navigator, repeat(null, 4).concat(repeat('fist', 11)), 2000);
+        expect(actions.fist).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not take a pose missed in a single frame as released', () => {
+        const actions = { fist: jest.fn() };
+        const navigator = createNavigator(actions);
+
+        run(navigator, repeat('fist', 10).concat([null], repeat('fist', 20)));
+        expect(actions.fist).not.toHaveBeenCalled();
+    });
+
+    it('takes a pose missed for longer than maxGap as released', () => {
+        const actions = { fist: jest.fn() };
+        const navigator = createNavigator(actions, { maxGap: 150 });
+
+        run(navigator, repeat('fist', 10).concat([null], repeat('fist', 11)));
+        expect(actions.fist).toHaveBeenCalledTimes(1);
+    });
+
+    it('arms each pose on its own', () => {
+        const actions = { open: jest.fn(), fist: jest.fn() };
+        const navigator = createNavigator(actions);
+
+        // The fist is held over from before, the open hand was not shown yet:
+        run(navigator, repeat('fist', 5).concat(repeat('open', 11)));
+        expect(actions.open).toHaveBeenCalledTimes(1);
+        expect(actions.fist).not.toHaveBeenCalled();
+    });
+
+    it('waits for a release again after start()', () => {
+        const actions = { fist: jest.fn() };
+        const navigator = createNavigator(actions);
+
+        navigator.session.start = jest.fn();
+        navigator.update([], 0);
+        navigator.start();
+        run(navigator, repeat('fist', 20), 100);
+        expect(actions.fist).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,164 @@
+//GestureSequence.js
+/**
+ * Steps through a gesture challenge described as data. A challenge is a list
+ * of steps, each step naming the gesture to show and optionally how long it
+ * has to be held:
+ *
+ *     ['open', 'fist', 'open', 'fist']
+ *     [{ gesture: 'open', hold: 2000 }, 'fist']
+ *
+ * The sequence knows nothing about detectors. It is fed the gestures seen in
+ * each frame and reports progress through callbacks.
+ *
+ * @param {Array}    steps                 Gesture names or step objects
+ * @param {Object}   [callbacks]
+ * @param {Function} [callbacks.onProgress] Called with a progress object on
+ *                                          every update of the current step
+ * @param {Function} [callbacks.onStep]     Called with (step, index, detection)
+ *                                          when a step is completed
+ * @param {Function} [callbacks.onComplete] Called when the last step is done
+ */
+var GestureSequence = function (steps, callbacks) {
+    this.steps = GestureSequence.normalize(steps);
+    this.callbacks = callbacks || {};
+    this.reset();
+};
+
+/**
+ * Time in ms a held gesture may go undetected before the hold starts over.
+ * Covers frames in which the cascade briefly loses the hand.
+ */
+GestureSequence.DEFAULT_MAX_GAP = 300;
+
+/**
+ * Ready-made challenges.
+ */
+GestureSequence.CHALLENGES = {
+    openFist: ['open', 'fist'],
+    openFistTwice: ['open', 'fist', 'open', 'fist'],
+    holdOpenThenFist: [{ gesture: 'open', hold: 2000 }, 'fist']
+};
+
+/**
+ * Converts a challenge into a list of complete step objects.
+ *
+ * @param {Array} steps Gesture names or step objects
+ *
+ * @return {Array} Step objects with gesture, hold and maxGap
+ */
+GestureSequence.normalize = function (steps) {
+    if (!steps || steps.length === 0) {
+        throw new Error('A gesture sequence needs at least one step');
+    }
+
+    return steps.map(function (step) {
+        if (typeof step === 'string') {
+            step = { gesture: step };
+        }
+        if (!step.gesture) {
+            throw new Error('Every step of a gesture sequence needs a gesture');
+        }
+        return {
+            gesture: step.gesture,
+            hold: step.hold || 0,
+            maxGap: step.maxGap !== undefined ? step.maxGap : GestureSequence.DEFAULT_MAX_GAP
+        };
+    });
+};
+
+/**
+ * Starts the challenge over from the first step.
+ */
+GestureSequence.prototype.reset = function () {
+    this.index = 0;
+    this.holdStart = -1;
+    this.lastSeen = -1;
+};
+
+GestureSequence.prototype.isComplete = function () {
+    return this.index >= this.steps.length;
+};
+
+GestureSequence.prototype.currentStep = function () {
+    return this.steps[this.index] || null;
+};
+
+/**
+ * Gestures that have to be detected to advance the sequence. Lets the caller
+ * skip detectors nobody is waiting for.
+ *
+ * @return {Array} Gesture names, empty once the sequence is complete
+ */
+GestureSequence.prototype.activeGestures = function () {
+    var step = this.currentStep();
+    return step ? [step.gesture] : [];
+};
+
+/**
+ * Advances the sequence with the detections of one frame.
+ *
+ * @param {Object} detections Detection per gesture name, falsy if not seen
+ * @param {Number} now        Timestamp of the frame in ms
+ *
+ * @return {Boolean} Whether a step was completed by this frame
+ */
+GestureSequence.prototype.update = function (detections, now) {
+    var step = this.currentStep(),
+        detection;
+
+    if (!step) return false;
+
+    detection = detections[step.gesture];
+    if (!detection) {
+        if (this.holdStart >= 0 && now - this.lastSeen > step.maxGap) {
+            this.holdStart = -1;
+            this.emitProgress(0);
+        }
+        return false;
+    }
+
+    if (this.holdStart < 0) {
+        this.holdStart = now;
+    }
+    this.lastSeen = now;
+
+    var held = now - this.holdStart;
+    if (held < step.hold) {
+        this.emitProgress(held);
+        return false;
+    }
+
+    var index = this.index++;
+    this.holdStart = -1;
+    this.lastSeen = -1;
+
+    this.emitProgress(0);
+    if (this.callbacks.onStep) {
+        this.callbacks.onStep(step, index, detection);
+    }
+    if (this.isComplete() && this.callbacks.onComplete) {
+        this.callbacks.onComplete();
+    }
+    return true;
+};
+
+GestureSequence.prototype.emitProgress = function (held) {
+    var step = this.currentStep(),
+        done = this.index;
+
+    if (!this.callbacks.onProgress) return;
+
+    if (step && step.hold) {
+        done += Math.min(held / step.hold, 1);
+    }
+    this.callbacks.onProgress({
+        step: this.index,
+        steps: this.steps.length,
+        gesture: step ? step.gesture : null,
+        held: held,
+        hold: step ? step.hold : 0,
+        progress: done / this.steps.length
+    });
+};
+
+export { GestureSequence };
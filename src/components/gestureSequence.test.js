@@ -0,0 +1,87 @@
+import { GestureSequence } from './gestureSequence.js';
+
+const seen = { box: [0.1, 0.1, 0.2, 0.2] };
+
+describe('GestureSequence.normalize', () => {
+    it('turns gesture names into steps', () => {
+        expect(GestureSequence.normalize(['open', { gesture: 'fist', hold: 500, maxGap: 0 }])).toEqual([
+            { gesture: 'open', hold: 0, maxGap: GestureSequence.DEFAULT_MAX_GAP },
+            { gesture: 'fist', hold: 500, maxGap: 0 }
+        ]);
+    });
+
+    it('rejects an empty challenge and steps without a gesture', () => {
+        expect(() => GestureSequence.normalize([])).toThrow(/at least one step/);
+        expect(() => GestureSequence.normalize([{ hold: 100 }])).toThrow(/needs a gesture/);
+    });
+});
+
+describe('GestureSequence#update', () => {
+    it('steps through the gestures in order', () => {
+        const onStep = jest.fn();
+        const onComplete = jest.fn();
+        const sequence = new GestureSequence(['open', 'fist'], { onStep: onStep, onComplete: onComplete });
+
+        expect(sequence.activeGestures()).toEqual(['open']);
+        expect(sequence.update({ fist: seen }, 0)).toBe(false);
+        expect(sequence.update({ open: seen }, 10)).toBe(true);
+        expect(onStep).toHaveBeenCalledWith({ gesture: 'open', hold: 0, maxGap: 300 }, 0, seen);
+        expect(sequence.activeGestures()).toEqual(['fist']);
+        expect(onComplete).not.toHaveBeenCalled();
+
+        expect(sequence.update({ fist: seen }, 20)).toBe(true);
+        expect(sequence.isComplete()).toBe(true);
+        expect(sequence.activeGestures()).toEqual([]);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+        expect(sequence.update({ open: seen, fist: seen }, 30)).toBe(false);
+    });
+
+    it('completes a held step once the hold has passed', () => {
+        const sequence = new GestureSequence([{ gesture: 'open', hold: 1000 }]);
+
+        expect(sequence.update({ open: seen }, 0)).toBe(false);
+        expect(sequence.update({ open: seen }, 500)).toBe(false);
+        expect(sequence.update({ open: seen }, 1000)).toBe(true);
+    });
+
+    it('keeps the hold over gaps up to maxGap', () => {
+        const sequence = new GestureSequence([{ gesture: 'open', hold: 1000, maxGap: 300 }]);
+
+        sequence.update({ open: seen }, 0);
+        sequence.update({}, 200);
+        sequence.update({ open: seen }, 300);
+        expect(sequence.update({ open: seen }, 1000)).toBe(true);
+    });
+
+    it('starts the hold over after a longer gap', () => {
+        const sequence = new GestureSequence([{ gesture: 'open', hold: 1000, maxGap: 300 }]);
+
+        sequence.update({ open: seen }, 0);
+        sequence.update({}, 400);
+        sequence.update({ open: seen }, 500);
+        expect(sequence.update({ open: seen }, 1000)).toBe(false);
+        expect(sequence.update({ open: seen }, 1500)).toBe(true);
+    });
+
+    it('reports the progress of the challenge', () => {
+        const progress = [];
+        const sequence = new GestureSequence([{ gesture: 'open', hold: 1000 }, 'fist'], {
+            onProgress: (update) => progress.push(update)
+        });
+
+        sequence.update({ open: seen }, 0);
+        sequence.update({ open: seen }, 500);
+        sequence.update({ open: seen }, 1000);
+
+        expect(progress[1]).toEqual({ step: 0, steps: 2, gesture: 'open', held: 500, hold: 1000, progress: 0.25 });
+        expect(progress[2]).toEqual({ step: 1, steps: 2, gesture: 'fist', held: 0, hold: 0, progress: 0.5 });
+    });
+
+    it('starts over on reset()', () => {
+        const sequence = new GestureSequence(GestureSequence.CHALLENGES.openFist);
+
+        sequence.update({ open: seen }, 0);
+        sequence.reset();
+        expect(sequence.currentStep().gesture).toBe('open');
+    });
+});
@@ -0,0 +1,227 @@
+//HaarCascadeLoader.js
+/**
+ * Converts OpenCV Haar cascade XML files into the classifier arrays of
+ * objectdetect, the layout compileClassifier() expects:
+ *
+ *     [windowWidth, windowHeight,
+ *      stageThreshold, numTrees,
+ *          tilted, numRects, x, y, width, height, weight, ..., threshold, leftValue, rightValue,
+ *          ...
+ *      ...]
+ *
+ * Both the old format written by haartraining (type_id "opencv-haar-classifier")
+ * and the new one written by opencv_traincascade ("opencv-cascade-classifier")
+ * are read. objectdetect only evaluates stumps, so cascades with deeper trees
+ * and LBP or HOG cascades are rejected.
+ */
+var HaarCascadeLoader = {};
+
+/**
+ * Minimal XML reader for the OpenCV FileStorage subset: elements and text.
+ * Attributes are kept, comments, declarations and processing instructions are
+ * skipped. Works without a DOM, so cascades can be converted in Node too.
+ *
+ * @param {String} text XML document
+ *
+ * @return {Object} Document node { name, attributes, children, text }
+ */
+HaarCascadeLoader.parseXml = function (text) {
+    var token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s>/]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g,
+        attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+        root = { name: '#document', attributes: {}, children: [], text: '' },
+        stack = [root],
+        match, element, attributeMatch;
+
+    for (match = token.exec(text); match; match = token.exec(text)) {
+        var parent = stack[stack.length - 1];
+
+        if (match[1] !== undefined) {
+            parent.text += match[1];
+        } else if (match[2] !== undefined) {
+            if (parent.name !== match[2]) {
+                throw new Error('Malformed XML: </' + match[2] + '> closes <' + parent.name + '>');
+            }
+            stack.pop();
+        } else if (match[3] !== undefined) {
+            element = { name: match[3], attributes: {}, children: [], text: '' };
+            for (attributeMatch = attribute.exec(match[4]); attributeMatch;
+                 attributeMatch = attribute.exec(match[4])) {
+                element.attributes[attributeMatch[1]] =
+                    attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3];
+            }
+            parent.children.push(element);
+            if (!match[5]) stack.push(element);
+        } else if (match[6] !== undefined) {
+            parent.text += match[6];
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error('Malformed XML: <' + stack[stack.length - 1].name + '> is not closed');
+    }
+    return root;
+};
+
+var child = function (element, name) {
+    for (var i = 0; i < element.children.length; ++i) {
+        if (element.children[i].name === name) return element.children[i];
+    }
+    return null;
+};
+
+var requireChild = function (element, name) {
+    var found = child(element, name);
+    if (!found) {
+        throw new Error('Invalid Haar cascade: <' + element.name + '> has no <' + name + '>');
+    }
+    return found;
+};
+
+var numbers = function (element) {
+    var text = element.text.trim();
+    return text ? text.split(/\s+/).map(parseFloat) : [];
+};
+
+var number = function (element, name) {
+    return numbers(requireChild(element, name))[0];
+};
+
+/**
+ * Rects of a feature, each "x y width height weight".
+ */
+var readFeature = function (feature) {
+    var tilted = child(feature, 'tilted'),
+        rects = requireChild(feature, 'rects').children.map(function (rect) {
+            var values = numbers(rect);
+            if (values.length !== 5) {
+                throw new Error('Invalid Haar cascade: feature rect "' + rect.text.trim() + '"');
+            }
+            return values;
+        });
+
+    return { tilted: tilted ? numbers(tilted)[0] : 0, rects: rects };
+};
+
+var pushNode = function (classifier, feature, threshold, leftValue, rightValue) {
+    classifier.push(feature.tilted ? 1 : 0, feature.rects.length);
+    feature.rects.forEach(function (rect) {
+        classifier.push.apply(classifier, rect);
+    });
+    classifier.push(threshold, leftValue, rightValue);
+};
+
+var stumpError = function (what) {
+    return new Error('Unsupported Haar cascade: ' + what + '. Only stump based cascades ' +
+        '(one node per tree, e.g. opencv_traincascade -maxDepth 1) can be loaded');
+};
+
+// haartraining: stages > trees > nodes, each node with its own feature
+var readOldFormat = function (cascade, classifier) {
+    var size = numbers(requireChild(cascade, 'size'));
+
+    classifier.push(size[0], size[1]);
+    requireChild(cascade, 'stages').children.forEach(function (stage) {
+        var trees = requireChild(stage, 'trees').children;
+
+        classifier.push(number(stage, 'stage_threshold'), trees.length);
+        trees.forEach(function (tree) {
+            var node = tree.children[0];
+
+            if (tree.children.length !== 1 || !child(node, 'left_val') || !child(node, 'right_val')) {
+                throw stumpError('tree with more than one node');
+            }
+            pushNode(classifier, readFeature(requireChild(node, 'feature')), number(node, 'threshold'),
+                number(node, 'left_val'), number(node, 'right_val'));
+        });
+    });
+};
+
+// opencv_traincascade: stages > weak classifiers referring to a shared feature list
+var readNewFormat = function (cascade, classifier) {
+    var stageType = requireChild(cascade, 'stageType').text.trim(),
+        featureType = requireChild(cascade, 'featureType').text.trim(),
+        features;
+
+    if (stageType !== 'BOOST') {
+        throw new Error('Unsupported Haar cascade: stage type ' + stageType);
+    }
+    if (featureType !== 'HAAR') {
+        throw new Error('Unsupported cascade: ' + featureType + ' features, only HAAR is supported');
+    }
+
+    features = requireChild(cascade, 'features').children.map(readFeature);
+
+    classifier.push(number(cascade, 'width'), number(cascade, 'height'));
+    requireChild(cascade, 'stages').children.forEach(function (stage) {
+        var weakClassifiers = requireChild(stage, 'weakClassifiers').children;
+
+        classifier.push(number(stage, 'stageThreshold'), weakClassifiers.length);
+        weakClassifiers.forEach(function (weakClassifier) {
+            // left right featureIndex threshold, once per node:
+            var nodes = numbers(requireChild(weakClassifier, 'internalNodes')),
+                leaves = numbers(requireChild(weakClassifier, 'leafValues')),
+                feature = features[nodes[2]];
+
+            if (nodes.length !== 4 || leaves.length !== 2) {
+                throw stumpError('tree with ' + Math.round(nodes.length / 4) + ' nodes');
+            }
+            if (!feature) {
+                throw new Error('Invalid Haar cascade: no feature ' + nodes[2]);
+            }
+            pushNode(classifier, feature, nodes[3], leaves[0], leaves[1]);
+        });
+    });
+};
+
+/**
+ * Converts the text of an OpenCV Haar cascade XML file.
+ *
+ * @param {String} xml Cascade XML, old or new format
+ *
+ * @return {Float32Array} Classifier for objectdetect.detector, with its tilted
+ *                        property set if any feature is tilted
+ */
+HaarCascadeLoader.parse = function (xml) {
+    var storage = requireChild(HaarCascadeLoader.parseXml(xml), 'opencv_storage'),
+        cascade = storage.children[0],
+        classifier = [],
+        result;
+
+    if (!cascade) {
+        throw new Error('Invalid Haar cascade: <opencv_storage> is empty');
+    }
+
+    if (child(cascade, 'featureType') || cascade.attributes.type_id === 'opencv-cascade-classifier') {
+        readNewFormat(cascade, classifier);
+    } else if (child(cascade, 'size')) {
+        readOldFormat(cascade, classifier);
+    } else {
+        throw new Error('Invalid Haar cascade: unknown format of <' + cascade.name + '>');
+    }
+
+    result = new Float32Array(classifier);
+    result.tilted = HaarCascadeLoader.isTilted(result);
+    return result;
+};
+
+/**
+ * Whether any feature of a classifier array is tilted. Tilted classifiers
+ * need the rotated integral image.
+ *
+ * @param {Array} classifier objectdetect classifier
+ *
+ * @return {Boolean}
+ */
+HaarCascadeLoader.isTilted = function (classifier) {
+    for (var i = 2, iEnd = classifier.length; i < iEnd;) {
+        var numTrees = classifier[i + 1];
+        i += 2;
+        for (var j = 0; j < numTrees; ++j) {
+            if (classifier[i]) return true;
+            i += 2 + classifier[i + 1] * 5 + 3;
+        }
+    }
+    return false;
+};
+
+export { HaarCascadeLoader };
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { HaarCascadeLoader } from './haarCascadeLoader.js';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', 'haar', name), 'utf8');
+
+// The cascade of old.xml and new.xml as an objectdetect classifier
+const CLASSIFIER = [
+    20, 24,
+    -1.25, 2,
+        0, 2, 2, 7, 16, 4, -1, 2, 9, 16, 2, 2, 0.25, -0.75, 0.5,
+        1, 2, 4, 2, 6, 6, -1, 7, 2, 3, 6, 2, -0.125, 0.5, -1.5,
+    0.5, 1,
+        0, 2, 0, 0, 20, 12, -1, 0, 6, 20, 6, 2, 0.5, 1, -1
+];
+
+describe('HaarCascadeLoader.parse', () => {
+    it('reads the haartraining format', () => {
+        const classifier = HaarCascadeLoader.parse(fixture('old.xml'));
+
+        expect(classifier).toBeInstanceOf(Float32Array);
+        expect(Array.from(classifier)).toEqual(CLASSIFIER);
+        expect(classifier.tilted).toBe(true);
+    });
+
+    it('reads the opencv_traincascade format', () => {
+        const classifier = HaarCascadeLoader.parse(fixture('new.xml'));
+
+        expect(Array.from(classifier)).toEqual(CLASSIFIER);
+        expect(classifier.tilted).toBe(true);
+    });
+
+    it('rejects trees of more than one node', () => {
+        expect(() => HaarCascadeLoader.parse(fixture('old-tree.xml'))).toThrow(/Only stump based cascades/);
+        expect(() => HaarCascadeLoader.parse(fixture('new-tree.xml'))).toThrow(/tree with 2 nodes/);
+    });
+
+    it('rejects LBP cascades', () => {
+        const xml = fixture('new.xml').replace('<featureType>HAAR</featureType>', '<featureType>LBP</featureType>');
+
+        expect(() => HaarCascadeLoader.parse(xml)).toThrow(/LBP features/);
+    });
+
+    it('rejects documents that are no cascade', () => {
+        expect(() => HaarCascadeLoader.parse('<opencv_storage></opencv_storage>')).toThrow(/is empty/);
+        expect(() => HaarCascadeLoader.parse('<opencv_storage><x></x></opencv_storage>')).toThrow(/unknown format/);
+        expect(() => HaarCascadeLoader.parse('<opencv_storage><x>')).toThrow(/Malformed XML/);
+    });
+});
+
+describe('HaarCascadeLoader.isTilted', () => {
+    it('finds tilted features', () => {
+        const upright = CLASSIFIER.slice(0);
+
+        // The tilted flag of the second tree of the first stage:
+        upright[4 + 15] = 0;
+
+        expect(HaarCascadeLoader.isTilted(CLASSIFIER)).toBe(true);
+        expect(HaarCascadeLoader.isTilted(upright)).toBe(false);
+    });
+});
@@ -6,6 +6,8 @@
 // fixes from Paul Irish and Tino Zijdel
 
 (function () {
+    if (typeof window === 'undefined') return;
+
     var lastTime = 0;
     var vendors = ['ms', 'moz', 'webkit', 'o'];
     for (var x = 0; x < vendors.length && !window.requestAnimationFrame; ++x) {
@@ -268,20 +270,181 @@ CV.approxPolyDP = function (contour, epsilon) {
     return poly;
 };
 
-CV.erode = function (imageSrc, imageDst) {
-    return CV.applyKernel(imageSrc, imageDst, Math.min);
+// element: structuring element from CV.structuringElement, 3x3 rect if
+// omitted. iterations: number of times the element is applied, 1 by default.
+// imageSrc and imageDst may be the same image.
+CV.erode = function (imageSrc, imageDst, element, iterations) {
+    return CV.applyKernelRepeated(imageSrc, imageDst, Math.min, element, iterations);
+};
+
+CV.dilate = function (imageSrc, imageDst, element, iterations) {
+    return CV.applyKernelRepeated(imageSrc, imageDst, Math.max, element, iterations);
+};
+
+// Erosion then dilation: removes specks smaller than the element
+CV.open = function (imageSrc, imageDst, element, iterations) {
+    return CV.morphology(imageSrc, imageDst,
+        [{ op: 'erode', element: element, iterations: iterations },
+         { op: 'dilate', element: element, iterations: iterations }]);
 };
 
-CV.dilate = function (imageSrc, imageDst) {
-    return CV.applyKernel(imageSrc, imageDst, Math.max);
+// Dilation then erosion: fills gaps and holes smaller than the element
+CV.close = function (imageSrc, imageDst, element, iterations) {
+    return CV.morphology(imageSrc, imageDst,
+        [{ op: 'dilate', element: element, iterations: iterations },
+         { op: 'erode', element: element, iterations: iterations }]);
 };
 
-CV.applyKernel = function (imageSrc, imageDst, fn) {
+// Points [dx, dy] of a structuring element around its centre.
+// shape:  'rect', 'cross' or 'ellipse'
+// radius: half size, a number or [radiusX, radiusY]. A 3x3 rect has radius 1
+CV.structuringElement = function (shape, radius) {
+    var rx = radius === undefined ? 1 : radius.length ? radius[0] : radius,
+        ry = radius === undefined ? 1 : radius.length ? radius[1] : radius,
+        points = [], dx, dy;
+
+    if (shape !== 'rect' && shape !== 'cross' && shape !== 'ellipse') {
+        throw new Error('Unknown structuring element ' + shape);
+    }
+
+    for (dy = -ry; dy <= ry; ++dy) {
+        for (dx = -rx; dx <= rx; ++dx) {
+            if (shape === 'cross' && dx !== 0 && dy !== 0) {
+                continue;
+            }
+            if (shape === 'ellipse' && rx > 0 && ry > 0 &&
+                (dx * dx) / (rx * rx) + (dy * dy) / (ry * ry) > 1) {
+                continue;
+            }
+            points.push([dx, dy]);
+        }
+    }
+
+    return { shape: shape, radiusX: rx, radiusY: ry, points: points };
+};
+
+CV.DEFAULT_ELEMENT = CV.structuringElement('rect', 1);
+
+// Runs a list of steps, each { op, shape, radius, iterations } or
+// { op, element, iterations }, with op 'erode', 'dilate', 'open' or 'close'.
+// imageSrc and imageDst may be the same image. imageTmp is an optional
+// scratch image, to not allocate one on every call.
+CV.morphology = function (imageSrc, imageDst, steps, imageTmp) {
+    var passes = [], i, step, element, iterations;
+
+    for (i = 0; i < steps.length; ++i) {
+        step = steps[i];
+        element = step.element || (step.shape || step.radius !== undefined ?
+            CV.structuringElement(step.shape || 'rect', step.radius) : CV.DEFAULT_ELEMENT);
+        iterations = step.iterations || 1;
+
+        switch (step.op) {
+            case 'erode':
+                passes.push([Math.min, element, iterations]);
+                break;
+            case 'dilate':
+                passes.push([Math.max, element, iterations]);
+                break;
+            case 'open':
+                passes.push([Math.min, element, iterations], [Math.max, element, iterations]);
+                break;
+            case 'close':
+                passes.push([Math.max, element, iterations], [Math.min, element, iterations]);
+                break;
+            default:
+                throw new Error('Unknown morphological operation ' + step.op);
+        }
+    }
+
+    return CV.applyKernels(imageSrc, imageDst, passes, imageTmp);
+};
+
+CV.copy = function (imageSrc, imageDst) {
+    var src = imageSrc.data, dst = imageDst.data,
+        len = imageSrc.width * imageSrc.height, i = 0;
+
+    for (; i < len; ++i) {
+        dst[i] = src[i];
+    }
+
+    imageDst.width = imageSrc.width;
+    imageDst.height = imageSrc.height;
+
+    return imageDst;
+};
+
+// imageSrc and imageDst may be the same image. imageTmp is an optional
+// scratch image, to not allocate one on every call.
+CV.applyKernelRepeated = function (imageSrc, imageDst, fn, element, iterations, imageTmp) {
+    return CV.applyKernels(imageSrc, imageDst, [[fn, element, iterations || 1]], imageTmp);
+};
+
+// Runs passes of [fn, element, iterations] one after the other. imageSrc and
+// imageDst may be the same image. imageTmp is an optional scratch image, it
+// must not be imageSrc.
+CV.applyKernels = function (imageSrc, imageDst, passes, imageTmp) {
+    var kernels = [], current = imageSrc, next, i, j;
+
+    for (i = 0; i < passes.length; ++i) {
+        for (j = 0; j < passes[i][2]; ++j) {
+            kernels.push(passes[i]);
+        }
+    }
+
+    imageTmp = imageTmp || new CV.Image();
+    for (i = 0; i < kernels.length; ++i) {
+        // Kernels cannot work in place, so they alternate between images.
+        // The parity of the kernels left puts the last one in imageDst,
+        // unless imageDst is the source:
+        if (current === imageDst) {
+            next = imageTmp;
+        } else if (current === imageTmp) {
+            next = imageDst;
+        } else {
+            next = (kernels.length - i) % 2 === 1 ? imageDst : imageTmp;
+        }
+        CV.applyKernel(current, next, kernels[i][0], kernels[i][1]);
+        current = next;
+    }
+
+    if (current !== imageDst) {
+        CV.copy(current, imageDst);
+    }
+
+    return imageDst;
+};
+
+// Keeps the pixels of imageSrc where imageMask is set, zeroes the others
+CV.and = function (imageSrc, imageMask, imageDst) {
+    var src = imageSrc.data, mask = imageMask.data, dst = imageDst.data,
+        len = imageSrc.width * imageSrc.height, i = 0;
+
+    for (; i < len; ++i) {
+        dst[i] = mask[i] ? src[i] : 0;
+    }
+
+    imageDst.width = imageSrc.width;
+    imageDst.height = imageSrc.height;
+
+    return imageDst;
+};
+
+// Near the border, the parts of the element outside the image are left out.
+// The outermost pixels are always 0, as CV.findContours expects. Does not
+// work in place: imageDst has to be another image than imageSrc.
+CV.applyKernel = function (imageSrc, imageDst, fn, element) {
     var src = imageSrc.data, dst = imageDst.data,
         width = imageSrc.width, height = imageSrc.height,
-        offsets = [-width - 1, -width, -width + 1, -1, 1, width - 1, width, width + 1],
-        klen = offsets.length,
-        pos = 0, value, i, j, k;
+        points = (element || CV.DEFAULT_ELEMENT).points,
+        rx = (element || CV.DEFAULT_ELEMENT).radiusX,
+        ry = (element || CV.DEFAULT_ELEMENT).radiusY,
+        offsets = [],
+        klen = points.length,
+        pos = 0, value, x, y, i, j, k;
+
+    for (k = 0; k < klen; ++k) {
+        offsets.push(points[k][1] * width + points[k][0]);
+    }
 
     for (i = 0; i < width; ++i) {
         dst[pos++] = 0;
@@ -292,9 +455,20 @@ CV.applyKernel = function (imageSrc, imageDst, fn) {
 
         for (j = 2; j < width; ++j) {
             value = src[pos];
+            x = j - 1;
+            y = i - 1;
 
-            for (k = 0; k < klen; ++k) {
-                value = fn(value, src[pos + offsets[k]]);
+            if (x >= rx && x < width - rx && y >= ry && y < height - ry) {
+                for (k = 0; k < klen; ++k) {
+                    value = fn(value, src[pos + offsets[k]]);
+                }
+            } else {
+                for (k = 0; k < klen; ++k) {
+                    if (x + points[k][0] >= 0 && x + points[k][0] < width &&
+                        y + points[k][1] >= 0 && y + points[k][1] < height) {
+                        value = fn(value, src[pos + offsets[k]]);
+                    }
+                }
             }
 
             dst[pos++] = value;
@@ -400,6 +574,20 @@ CV.convexityDefects = function (points, hull) {
                 dy = point.y - curr.y;
                 dist = Math.abs(-dy0 * dx + dx0 * dy) * scale;
 
+                // Back on the hull edge, e.g. between fingertips of the
+                // same height: the defect so far ends here, another one may
+                // start
+                if (dist < 1) {
+                    if (isDefect) {
+                        defect.end = point;
+                        defects.push(defect);
+                    }
+                    isDefect = false;
+                    depth = 0;
+                    defect = { start: point, end: next };
+                    continue;
+                }
+
                 if (dist > depth) {
                     isDefect = true;
 
@@ -429,7 +617,27 @@ CV.indexPoint = function (points, point) {
     return i;
 };
 
+CV.angle = function (p1, p2, p3) {
+    var dx1 = p1.x - p2.x, dy1 = p1.y - p2.y,
+        dx2 = p3.x - p2.x, dy2 = p3.y - p2.y,
+        norm = Math.sqrt((dx1 * dx1 + dy1 * dy1) * (dx2 * dx2 + dy2 * dy2)),
+        cos = norm === 0 ? 1 : (dx1 * dx2 + dy1 * dy2) / norm;
+
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+};
+
+// Area enclosed by a polygon, by the shoelace formula
 CV.area = function (poly) {
+    var area = 0, len = poly.length, i = 0, j = len - 1;
+
+    for (; i < len; j = i++) {
+        area += poly[j].x * poly[i].y - poly[i].x * poly[j].y;
+    }
+
+    return Math.abs(area) / 2;
+};
+
+CV.boundingBoxArea = function (poly) {
     var area = 0, len = poly.length, i = 1,
         x, y, xmin, xmax, ymin, ymax;
 
@@ -461,27 +669,174 @@ CV.area = function (poly) {
     return area;
 };
 
+// Moments of the area enclosed by a polygon, as the OpenCV moments function
+// computes them for contours, by Green's theorem over the edges:
+//
+// - m00 ... m03:   spatial moments, m00 is the area
+// - mu20 ... mu03: central moments
+// - nu20 ... nu03: normalized central moments
+// - centroid:      mass centre { x, y }
+// - orientation:   angle in radians of the major axis to the x axis. Image
+//                  y points down, so positive angles turn clockwise
+// - eccentricity:  0 for a circle, towards 1 for elongated shapes
+// - hu:            the 7 Hu invariants, unchanged by translation, scale and
+//                  rotation
+//
+// A degenerate polygon has a zero area, its centroid is then the mean of the
+// points.
+CV.moments = function (poly) {
+    var len = poly.length, i = 0, j = len - 1,
+        a00 = 0, a10 = 0, a01 = 0, a20 = 0, a11 = 0, a02 = 0,
+        a30 = 0, a21 = 0, a12 = 0, a03 = 0,
+        xi, yi, xj, yj, xi2, yi2, xj2, yj2, dxy, xij, yij,
+        m = {}, sign, cx, cy, n2, n3, t0, t1, q0, q1, common, root;
+
+    for (; i < len; j = i++) {
+        xj = poly[j].x; yj = poly[j].y;
+        xi = poly[i].x; yi = poly[i].y;
+        xj2 = xj * xj; yj2 = yj * yj;
+        xi2 = xi * xi; yi2 = yi * yi;
+        dxy = xj * yi - xi * yj;
+        xij = xj + xi;
+        yij = yj + yi;
+
+        a00 += dxy;
+        a10 += dxy * xij;
+        a01 += dxy * yij;
+        a20 += dxy * (xj * xij + xi2);
+        a11 += dxy * (xj * (yij + yj) + xi * (yij + yi));
+        a02 += dxy * (yj * yij + yi2);
+        a30 += dxy * xij * (xj2 + xi2);
+        a03 += dxy * yij * (yj2 + yi2);
+        a21 += dxy * (xj2 * (3 * yj + yi) + 2 * xi * xj * yij + xi2 * (yj + 3 * yi));
+        a12 += dxy * (yj2 * (3 * xj + xi) + 2 * yi * yj * xij + yi2 * (xj + 3 * xi));
+    }
+
+    // Clockwise and counter clockwise polygons give the same moments:
+    sign = a00 < 0 ? -1 : 1;
+    m.m00 = sign * a00 / 2;
+    m.m10 = sign * a10 / 6;
+    m.m01 = sign * a01 / 6;
+    m.m20 = sign * a20 / 12;
+    m.m11 = sign * a11 / 24;
+    m.m02 = sign * a02 / 12;
+    m.m30 = sign * a30 / 20;
+    m.m21 = sign * a21 / 60;
+    m.m12 = sign * a12 / 60;
+    m.m03 = sign * a03 / 20;
+    m.area = m.m00;
+
+    if (m.m00 === 0) {
+        cx = cy = 0;
+        for (i = 0; i < len; ++i) {
+            cx += poly[i].x / len;
+            cy += poly[i].y / len;
+        }
+        m.centroid = { x: cx, y: cy };
+        m.mu20 = m.mu11 = m.mu02 = m.mu30 = m.mu21 = m.mu12 = m.mu03 = 0;
+        m.nu20 = m.nu11 = m.nu02 = m.nu30 = m.nu21 = m.nu12 = m.nu03 = 0;
+        m.orientation = 0;
+        m.eccentricity = 0;
+        m.hu = [0, 0, 0, 0, 0, 0, 0];
+        return m;
+    }
+
+    cx = m.m10 / m.m00;
+    cy = m.m01 / m.m00;
+    m.centroid = { x: cx, y: cy };
+
+    m.mu20 = m.m20 - m.m10 * cx;
+    m.mu11 = m.m11 - m.m10 * cy;
+    m.mu02 = m.m02 - m.m01 * cy;
+    m.mu30 = m.m30 - cx * (3 * m.mu20 + cx * m.m10);
+    m.mu21 = m.m21 - cx * (2 * m.mu11 + cx * m.m01) - cy * m.mu20;
+    m.mu12 = m.m12 - cy * (2 * m.mu11 + cy * m.m10) - cx * m.mu02;
+    m.mu03 = m.m03 - cy * (3 * m.mu02 + cy * m.m01);
+
+    n2 = 1 / (m.m00 * m.m00);
+    n3 = n2 / Math.sqrt(Math.abs(m.m00));
+    m.nu20 = m.mu20 * n2;
+    m.nu11 = m.mu11 * n2;
+    m.nu02 = m.mu02 * n2;
+    m.nu30 = m.mu30 * n3;
+    m.nu21 = m.mu21 * n3;
+    m.nu12 = m.mu12 * n3;
+    m.nu03 = m.mu03 * n3;
+
+    m.orientation = 0.5 * Math.atan2(2 * m.mu11, m.mu20 - m.mu02);
+
+    // Eigenvalues of the covariance matrix give the axes of the shape:
+    common = (m.mu20 + m.mu02) / 2;
+    root = Math.sqrt(4 * m.mu11 * m.mu11 + (m.mu20 - m.mu02) * (m.mu20 - m.mu02)) / 2;
+    m.eccentricity = common + root > 0 ? Math.sqrt(Math.max(0, 1 - (common - root) / (common + root))) : 0;
+
+    t0 = m.nu30 + m.nu12;
+    t1 = m.nu21 + m.nu03;
+    q0 = t0 * t0;
+    q1 = t1 * t1;
+    n2 = m.nu20 - m.nu02;
+    n3 = 4 * m.nu11;
+    m.hu = [
+        m.nu20 + m.nu02,
+        n2 * n2 + n3 * m.nu11,
+        (m.nu30 - 3 * m.nu12) * (m.nu30 - 3 * m.nu12) + (3 * m.nu21 - m.nu03) * (3 * m.nu21 - m.nu03),
+        q0 + q1,
+        (m.nu30 - 3 * m.nu12) * t0 * (q0 - 3 * q1) + (3 * m.nu21 - m.nu03) * t1 * (3 * q0 - q1),
+        n2 * (q0 - q1) + n3 * t0 * t1,
+        (3 * m.nu21 - m.nu03) * t0 * (q0 - 3 * q1) - (m.nu30 - 3 * m.nu12) * t1 * (3 * q0 - q1)
+    ];
+
+    return m;
+};
+
 
 var HT = HT || {};
 
+// params.skinner:   skin segmentation, a name of HT.SKINNERS ('hsv' by
+//                    default) or any object with a mask(imageSrc, imageDst)
+// params.skinModel:  model of the skinner, e.g. from HT.Skinner.calibrate
+// params.morphology: steps of CV.morphology cleaning up the skin mask,
+//                    defaults to HT.Tracker.MORPHOLOGY. Skipped in fast mode
+// params.background: true or params of HT.BackgroundModel, to only take skin
+//                    that moved into the scene, not a skin coloured face,
+//                    door or wall that is always there
 HT.Tracker = function (params) {
     this.params = params || {};
 
     this.mask = new CV.Image();
     this.eroded = new CV.Image();
+    this.foreground = new CV.Image();
     this.contours = [];
 
-    this.skinner = new HT.Skinner();
+    this.skinner = typeof this.params.skinner === 'object' ? this.params.skinner :
+        HT.createSkinner(this.params.skinner || 'hsv', this.params.skinModel);
+    this.background = this.params.background ?
+        new HT.BackgroundModel(this.params.background === true ? {} : this.params.background) : null;
+};
+
+// One opening with a 3x3 rect: drops single pixel noise
+HT.Tracker.MORPHOLOGY = [{ op: 'open' }];
+
+HT.Tracker.prototype.setSkinModel = function (model) {
+    this.skinner.model = model || this.skinner.constructor.DEFAULT_MODEL;
 };
 
-HT.Tracker.prototype.detect = function (image) {
+// now is the timestamp of the frame in ms, the clock of the background model.
+// Defaults to the current time.
+HT.Tracker.prototype.detect = function (image, now) {
     this.skinner.mask(image, this.mask);
 
-    if (this.params.fast) {
+    if (this.background) {
+        this.background.apply(image, this.foreground, now);
+        CV.and(this.mask, this.foreground, this.mask);
+    }
+
+    var morphology = this.params.morphology || HT.Tracker.MORPHOLOGY;
+
+    if (this.params.fast || morphology.length === 0) {
         this.blackBorder(this.mask);
     } else {
-        CV.erode(this.mask, this.eroded);
-        CV.dilate(this.eroded, this.mask);
+        CV.morphology(this.mask, this.mask, morphology, this.eroded);
     }
 
     this.contours = CV.findContours(this.mask);
@@ -542,51 +897,397 @@ HT.Tracker.prototype.blackBorder = function (image) {
     return image;
 };
 
+// Background model of a fixed camera, learned per pixel from the grey level
+// of the frames:
+//
+// - 'average': running average, foreground where the frame differs from it
+//   by more than threshold
+// - 'gaussian': running mean and variance, foreground where the frame is
+//   more than deviations standard deviations off the mean
+//
+// For the first learningTime ms every frame counts the same, and nothing is
+// reported as background yet. After that the model follows the scene slowly,
+// at learningRate per frame, so a hand that stays still for long fades into
+// the background too.
+HT.BackgroundModel = function (params) {
+    params = params || {};
+
+    this.method = params.method || 'gaussian';
+    this.learningRate = params.learningRate !== undefined ? params.learningRate : 0.01;
+    this.learningTime = params.learningTime !== undefined ? params.learningTime : 2000;
+    this.threshold = params.threshold || 25;
+    this.deviations = params.deviations || 2.5;
+    this.minVariance = params.minVariance || 25;
+
+    if (this.method !== 'average' && this.method !== 'gaussian') {
+        throw new Error('Unknown background model ' + this.method);
+    }
+
+    this.reset();
+};
+
+// Starts learning the background anew, e.g. after the camera moved
+HT.BackgroundModel.prototype.reset = function () {
+    this.mean = null;
+    this.variance = null;
+    this.frames = 0;
+    this.startTime = 0;
+};
+
+HT.BackgroundModel.prototype.setLearningRate = function (learningRate) {
+    this.learningRate = learningRate;
+};
+
+HT.BackgroundModel.prototype.isLearning = function (now) {
+    return this.frames === 0 || now - this.startTime < this.learningTime;
+};
+
+// Writes the foreground mask of an RGBA image to imageDst, 255 for
+// foreground, and updates the model with the image
+HT.BackgroundModel.prototype.apply = function (image, imageDst, now) {
+    var src = image.data, dst = imageDst.data,
+        len = image.width * image.height,
+        gaussian = this.method === 'gaussian',
+        maxDistance = this.deviations * this.deviations,
+        learning, rate, mean, variance, gray, diff, i, j;
+
+    now = now !== undefined ? now : Date.now();
+
+    if (!this.mean || this.mean.length !== len) {
+        this.reset();
+        this.mean = new Float32Array(len);
+        this.variance = new Float32Array(len);
+    }
+    if (this.frames === 0) {
+        this.startTime = now;
+    }
+
+    learning = this.isLearning(now);
+    // A cumulative average while learning, so every frame counts the same:
+    rate = learning ? 1 / (this.frames + 1) : this.learningRate;
+    mean = this.mean;
+    variance = this.variance;
+
+    for (i = 0, j = 0; i < len; ++i, j += 4) {
+        gray = 0.299 * src[j] + 0.587 * src[j + 1] + 0.114 * src[j + 2];
+
+        if (this.frames === 0) {
+            mean[i] = gray;
+            variance[i] = 0;
+            dst[i] = 255;
+            continue;
+        }
+
+        diff = gray - mean[i];
+
+        if (learning) {
+            dst[i] = 255;
+        } else if (gaussian) {
+            dst[i] = diff * diff > maxDistance * Math.max(variance[i], this.minVariance) ? 255 : 0;
+        } else {
+            dst[i] = Math.abs(diff) > this.threshold ? 255 : 0;
+        }
+
+        mean[i] += rate * diff;
+        if (gaussian) {
+            variance[i] += rate * (diff * diff - variance[i]);
+        }
+    }
+
+    ++this.frames;
+
+    imageDst.width = image.width;
+    imageDst.height = image.height;
+
+    return imageDst;
+};
+
+// centroid:    mass centre of the contour, a steadier hand position than
+//              the centre of the bounding box
+// area:        area enclosed by the contour
+// solidity:    area over the area of the convex hull, lower with spread
+//              fingers
+// orientation: angle in radians of the major axis, see CV.moments
 HT.Candidate = function (contour) {
+    var hullArea;
+
     this.contour = contour;
     this.hull = CV.convexHull(contour);
     this.defects = CV.convexityDefects(contour, this.hull);
+
+    this.moments = CV.moments(contour);
+    this.centroid = this.moments.centroid;
+    this.area = this.moments.area;
+    this.orientation = this.moments.orientation;
+    hullArea = CV.area(this.hull);
+    this.solidity = hullArea > 0 ? Math.min(this.area / hullArea, 1) : 0;
 };
 
-HT.Skinner = function () {
+HT.Candidate.prototype.boundingBox = function () {
+    var hull = this.hull, len = hull.length, i = 1,
+        xmin, xmax, ymin, ymax;
+
+    if (len === 0) {
+        return { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    xmin = xmax = hull[0].x;
+    ymin = ymax = hull[0].y;
+    for (; i < len; ++i) {
+        xmin = Math.min(xmin, hull[i].x);
+        xmax = Math.max(xmax, hull[i].x);
+        ymin = Math.min(ymin, hull[i].y);
+        ymax = Math.max(ymax, hull[i].y);
+    }
+
+    return { x: xmin, y: ymin, width: xmax - xmin + 1, height: ymax - ymin + 1 };
+};
+
+// Finger gaps are defects that are deep relative to the hand size and narrow
+// at the depth point. Each gap contributes its start and end as fingertips;
+// the end of a gap and the start of the next one are the same finger when
+// they are close. A lone finger leaves no gap, only a deep defect beside it
+// at a wider angle, and its tip is the side of the defect farthest from the
+// centroid.
+HT.Candidate.prototype.countFingers = function (params) {
+    var box = this.boundingBox(),
+        handSize = Math.max(box.width, box.height),
+        minDepth, maxAngle, mergeDist, gaps = [], fingertips = [],
+        maxDepth = 0, score = 0, lone = null, confidence, defect, angle, len, i;
+
+    params = params || {};
+    minDepth = handSize * (params.depthRatio || HT.FINGER_DEPTH_RATIO);
+    maxAngle = params.maxAngle || HT.FINGER_MAX_ANGLE;
+    mergeDist = handSize * (params.mergeRatio || HT.FINGER_MERGE_RATIO);
+
+    for (i = 0, len = this.defects.length; i < len; ++i) {
+        defect = this.defects[i];
+        maxDepth = Math.max(maxDepth, defect.depth);
+
+        if (defect.depth >= minDepth) {
+            angle = CV.angle(defect.start, defect.depthPoint, defect.end);
+            if (angle <= maxAngle) {
+                gaps.push(defect);
+
+                score += 0.5 * Math.min((defect.depth - minDepth) / minDepth, 1) +
+                         0.5 * (1 - angle / maxAngle);
+            } else if (angle <= HT.FINGER_LONE_MAX_ANGLE && (!lone || defect.depth > lone.depth)) {
+                lone = defect;
+            }
+        }
+    }
+
+    for (i = 0, len = gaps.length; i < len; ++i) {
+        if (len === 1 || !HT.isNear(gaps[(i + len - 1) % len].end, gaps[i].start, mergeDist)) {
+            fingertips.push({ x: gaps[i].start.x, y: gaps[i].start.y });
+        }
+        fingertips.push({ x: gaps[i].end.x, y: gaps[i].end.y });
+    }
+
+    if (gaps.length === 0 && lone) {
+        fingertips.push(HT.farthest(this.centroid, lone.start, lone.end));
+        confidence = 0.5 * Math.min((lone.depth - minDepth) / minDepth, 1) +
+                     0.5 * (1 - (CV.angle(lone.start, lone.depthPoint, lone.end) - maxAngle) /
+                            (HT.FINGER_LONE_MAX_ANGLE - maxAngle));
+    } else if (gaps.length === 0) {
+        confidence = minDepth > 0 ? 1 - Math.min(maxDepth / minDepth, 1) : 0;
+    } else {
+        confidence = score / gaps.length;
+        if (fingertips.length > 5) {
+            confidence *= 5 / fingertips.length;
+        }
+    }
+
+    return {
+        count: Math.min(fingertips.length, 5),
+        fingertips: fingertips.slice(0, 5),
+        gaps: gaps,
+        confidence: confidence
+    };
+};
+
+HT.FINGER_DEPTH_RATIO = 0.15;
+HT.FINGER_MAX_ANGLE = 90;
+HT.FINGER_LONE_MAX_ANGLE = 120;
+HT.FINGER_MERGE_RATIO = 0.1;
+
+HT.isNear = function (p1, p2, dist) {
+    return Math.abs(p1.x - p2.x) <= dist && Math.abs(p1.y - p2.y) <= dist;
+};
+
+HT.farthest = function (origin, p1, p2) {
+    var dx1 = p1.x - origin.x, dy1 = p1.y - origin.y,
+        dx2 = p2.x - origin.x, dy2 = p2.y - origin.y,
+        point = dx1 * dx1 + dy1 * dy1 >= dx2 * dx2 + dy2 * dy2 ? p1 : p2;
+
+    return { x: point.x, y: point.y };
+};
+
+// Skin is a range of hue, saturation and value. Hue ranges may wrap around
+// 0, e.g. [-10, 20] takes hues from 350 up to 20 as skin.
+HT.Skinner = function (model) {
+    this.model = model || HT.Skinner.DEFAULT_MODEL;
+};
+
+HT.Skinner.DEFAULT_MODEL = {
+    hue: [3, 33],
+    saturation: [0, 255],
+    value: [15, 250]
+};
+
+HT.Skinner.STORAGE_KEY = 'skinModel';
+
+HT.Skinner.hsv = function (r, g, b, hsv) {
+    var h, s, v;
+
+    v = Math.max(r, g, b);
+    s = v === 0 ? 0 : 255 * (v - Math.min(r, g, b)) / v;
+    h = 0;
+
+    if (0 !== s) {
+        if (v === r) {
+            h = 30 * (g - b) / s;
+        } else if (v === g) {
+            h = 60 + ((b - r) / s);
+        } else {
+            h = 120 + ((r - g) / s);
+        }
+        if (h < 0) {
+            h += 360;
+        }
+    }
+
+    hsv[0] = h;
+    hsv[1] = s;
+    hsv[2] = v;
+    return hsv;
 };
 
 HT.Skinner.prototype.mask = function (imageSrc, imageDst) {
     var src = imageSrc.data, dst = imageDst.data, len = src.length,
+        model = this.model,
+        minHue = (model.hue[0] % 360 + 360) % 360, hueRange = model.hue[1] - model.hue[0],
+        minS = model.saturation[0], maxS = model.saturation[1],
+        minV = model.value[0], maxV = model.value[1],
+        hsv = [0, 0, 0],
         i = 0, j = 0,
-        r, g, b, h, s, v, value;
+        h, value;
 
     for (; i < len; i += 4) {
-        r = src[i];
-        g = src[i + 1];
-        b = src[i + 2];
-
-        v = Math.max(r, g, b);
-        s = v === 0 ? 0 : 255 * (v - Math.min(r, g, b)) / v;
-        h = 0;
-
-        if (0 !== s) {
-            if (v === r) {
-                h = 30 * (g - b) / s;
-            } else if (v === g) {
-                h = 60 + ((b - r) / s);
-            } else {
-                h = 120 + ((r - g) / s);
-            }
+        HT.Skinner.hsv(src[i], src[i + 1], src[i + 2], hsv);
+
+        value = 0;
+
+        if (hsv[2] >= minV && hsv[2] <= maxV && hsv[1] >= minS && hsv[1] <= maxS) {
+            h = hsv[0] - minHue;
             if (h < 0) {
                 h += 360;
             }
+            if (h <= hueRange) {
+                value = 255;
+            }
         }
 
-        value = 0;
+        dst[j++] = value;
+    }
 
-        if (v >= 15 && v <= 250) {
-            if (h >= 3 && h <= 33) {
-                value = 255;
+    imageDst.width = imageSrc.width;
+    imageDst.height = imageSrc.height;
+
+    return imageDst;
+};
+
+// Fits a model to the pixels around points known to be on the user's skin.
+// The hue range is taken around the mean hue, so skin hues on both sides of
+// 0 give one narrow range instead of the whole circle.
+//
+// params.radius:     half size in pixels of the patch sampled per point, 3
+// params.percentile: share of outlying samples left out on each end, 0.05
+// params.margin:     widening of the fitted [hue, saturation, value] ranges
+HT.Skinner.calibrate = function (image, points, params) {
+    var src = image.data, width = image.width, height = image.height,
+        hues = [], saturations = [], values = [],
+        hsv = [0, 0, 0],
+        radius, percentile, margin, sin = 0, cos = 0, meanHue,
+        i, x, y, px, py, pos, range;
+
+    params = params || {};
+    radius = params.radius !== undefined ? params.radius : 3;
+    percentile = params.percentile !== undefined ? params.percentile : 0.05;
+    margin = params.margin || [5, 20, 20];
+
+    for (i = 0; i < points.length; ++i) {
+        px = Math.round(points[i][0]);
+        py = Math.round(points[i][1]);
+        for (y = Math.max(0, py - radius); y <= Math.min(height - 1, py + radius); ++y) {
+            for (x = Math.max(0, px - radius); x <= Math.min(width - 1, px + radius); ++x) {
+                pos = (y * width + x) * 4;
+                HT.Skinner.hsv(src[pos], src[pos + 1], src[pos + 2], hsv);
+                hues.push(hsv[0]);
+                saturations.push(hsv[1]);
+                values.push(hsv[2]);
+                sin += Math.sin(hsv[0] * Math.PI / 180);
+                cos += Math.cos(hsv[0] * Math.PI / 180);
             }
         }
+    }
 
-        dst[j++] = value;
+    if (hues.length === 0) {
+        throw new Error('No skin samples: the calibration points are outside the image');
+    }
+
+    meanHue = Math.atan2(sin, cos) * 180 / Math.PI;
+    hues = hues.map(function (h) {
+        h -= meanHue;
+        return h > 180 ? h - 360 : h < -180 ? h + 360 : h;
+    });
+
+    range = function (samples, low, high, margin) {
+        var sorted = samples.slice(0).sort(function (a, b) { return a - b; }),
+            last = sorted.length - 1;
+
+        return [
+            Math.max(low, sorted[Math.round(last * percentile)] - margin),
+            Math.min(high, sorted[Math.round(last * (1 - percentile))] + margin)
+        ];
+    };
+
+    return {
+        hue: range(hues, -180, 180, margin[0]).map(function (h) {
+            return h + meanHue;
+        }),
+        saturation: range(saturations, 0, 255, margin[1]),
+        value: range(values, 0, 255, margin[2])
+    };
+};
+
+HT.Skinner.save = function (model, key) {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(key || HT.Skinner.STORAGE_KEY, JSON.stringify(model));
+    }
+};
+
+HT.Skinner.remove = function (key) {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(key || HT.Skinner.STORAGE_KEY);
+    }
+};
+
+// Returns the saved model, null if there is none
+HT.Skinner.load = function (key) {
+    var saved = typeof localStorage !== 'undefined' ?
+        localStorage.getItem(key || HT.Skinner.STORAGE_KEY) : null;
+
+    return saved ? JSON.parse(saved) : null;
+};
+
+// Writes 255 to the mask for the pixels isSkin(r, g, b) accepts, 0 elsewhere
+HT.maskPixels = function (imageSrc, imageDst, isSkin) {
+    var src = imageSrc.data, dst = imageDst.data, len = src.length,
+        i = 0, j = 0;
+
+    for (; i < len; i += 4) {
+        dst[j++] = isSkin(src[i], src[i + 1], src[i + 2]) ? 255 : 0;
     }
 
     imageDst.width = imageSrc.width;
@@ -595,6 +1296,180 @@ HT.Skinner.prototype.mask = function (imageSrc, imageDst) {
     return imageDst;
 };
 
+// Box thresholds on luma and the chroma components of YCbCr (full range,
+// as in JPEG). Chroma separates skin from the background fairly
+// independently of the brightness.
+HT.YCbCrSkinner = function (model) {
+    this.model = model || HT.YCbCrSkinner.DEFAULT_MODEL;
+};
+
+HT.YCbCrSkinner.DEFAULT_MODEL = {
+    y: [40, 255],
+    cb: [77, 127],
+    cr: [133, 173]
+};
+
+HT.YCbCrSkinner.prototype.mask = function (imageSrc, imageDst) {
+    var model = this.model;
+
+    return HT.maskPixels(imageSrc, imageDst, function (r, g, b) {
+        var y = 0.299 * r + 0.587 * g + 0.114 * b,
+            cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+            cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+
+        return y >= model.y[0] && y <= model.y[1] &&
+            cb >= model.cb[0] && cb <= model.cb[1] &&
+            cr >= model.cr[0] && cr <= model.cr[1];
+    });
+};
+
+// Box thresholds on normalized rg chromaticity, r / (r + g + b) and
+// g / (r + g + b). Dark pixels have no reliable chromaticity, so the mean
+// intensity has to be in range too.
+HT.RgSkinner = function (model) {
+    this.model = model || HT.RgSkinner.DEFAULT_MODEL;
+};
+
+HT.RgSkinner.DEFAULT_MODEL = {
+    r: [0.36, 0.465],
+    g: [0.28, 0.363],
+    intensity: [20, 250]
+};
+
+HT.RgSkinner.prototype.mask = function (imageSrc, imageDst) {
+    var model = this.model;
+
+    return HT.maskPixels(imageSrc, imageDst, function (r, g, b) {
+        var sum = r + g + b, nr, ng;
+
+        if (sum < model.intensity[0] * 3 || sum > model.intensity[1] * 3) {
+            return false;
+        }
+        nr = r / sum;
+        ng = g / sum;
+        return nr >= model.r[0] && nr <= model.r[1] && ng >= model.g[0] && ng <= model.g[1];
+    });
+};
+
+// 2D colour histogram of sample skin pixels, back-projected: a pixel is skin
+// if its colour bin holds at least threshold times the count of the fullest
+// bin. The histogram is over normalized rg or over CbCr, so it ignores the
+// brightness. Untrained, it finds no skin at all.
+HT.HistogramSkinner = function (model) {
+    this.model = model || HT.HistogramSkinner.createModel();
+};
+
+HT.HistogramSkinner.DEFAULT_MODEL = {
+    space: 'rg',
+    bins: 32,
+    threshold: 0.1,
+    histogram: null
+};
+
+HT.HistogramSkinner.STORAGE_KEY = 'skinHistogram';
+
+HT.HistogramSkinner.createModel = function (params) {
+    var model = {}, key;
+
+    params = params || {};
+    for (key in HT.HistogramSkinner.DEFAULT_MODEL) {
+        model[key] = params[key] !== undefined ? params[key] : HT.HistogramSkinner.DEFAULT_MODEL[key];
+    }
+    if (!model.histogram) {
+        model.histogram = [];
+        for (key = 0; key < model.bins * model.bins; ++key) {
+            model.histogram.push(0);
+        }
+    }
+    return model;
+};
+
+// Histogram bin of a colour, -1 for colours without a chromaticity
+HT.HistogramSkinner.prototype.bin = function (r, g, b) {
+    var bins = this.model.bins, sum, u, v;
+
+    if (this.model.space === 'cbcr') {
+        u = (128 - 0.168736 * r - 0.331264 * g + 0.5 * b) / 256;
+        v = (128 + 0.5 * r - 0.418688 * g - 0.081312 * b) / 256;
+    } else {
+        sum = r + g + b;
+        if (sum === 0) {
+            return -1;
+        }
+        u = r / sum;
+        v = g / sum;
+    }
+
+    u = Math.min(Math.max(Math.floor(u * bins), 0), bins - 1);
+    v = Math.min(Math.max(Math.floor(v * bins), 0), bins - 1);
+    return v * bins + u;
+};
+
+// Adds the pixels of a (2 * radius + 1) square patch around each point
+HT.HistogramSkinner.prototype.train = function (image, points, radius) {
+    var src = image.data, width = image.width, height = image.height,
+        histogram, i, x, y, px, py, pos, bin;
+
+    if (radius === undefined) {
+        radius = 3;
+    }
+    if (!this.model.histogram) {
+        this.model = HT.HistogramSkinner.createModel(this.model);
+    }
+    histogram = this.model.histogram;
+
+    for (i = 0; i < points.length; ++i) {
+        px = Math.round(points[i][0]);
+        py = Math.round(points[i][1]);
+        for (y = Math.max(0, py - radius); y <= Math.min(height - 1, py + radius); ++y) {
+            for (x = Math.max(0, px - radius); x <= Math.min(width - 1, px + radius); ++x) {
+                pos = (y * width + x) * 4;
+                bin = this.bin(src[pos], src[pos + 1], src[pos + 2]);
+                if (bin >= 0) {
+                    ++histogram[bin];
+                }
+            }
+        }
+    }
+
+    return this.model;
+};
+
+HT.HistogramSkinner.prototype.reset = function () {
+    this.model = HT.HistogramSkinner.createModel({
+        space: this.model.space,
+        bins: this.model.bins,
+        threshold: this.model.threshold
+    });
+};
+
+HT.HistogramSkinner.prototype.mask = function (imageSrc, imageDst) {
+    var that = this,
+        histogram = this.model.histogram || [],
+        min = Math.max.apply(null, histogram) * this.model.threshold;
+
+    return HT.maskPixels(imageSrc, imageDst, function (r, g, b) {
+        var bin = that.bin(r, g, b);
+        return bin >= 0 && min > 0 && histogram[bin] >= min;
+    });
+};
+
+HT.SKINNERS = {
+    hsv: HT.Skinner,
+    ycbcr: HT.YCbCrSkinner,
+    rg: HT.RgSkinner,
+    histogram: HT.HistogramSkinner
+};
+
+HT.createSkinner = function (name, model) {
+    var Skinner = HT.SKINNERS[name];
+
+    if (!Skinner) {
+        throw new Error('Unknown skin segmentation ' + name);
+    }
+    return new Skinner(model);
+};
+
 
 var DEMO = function () {
 };
@@ -606,6 +1481,7 @@ DEMO.prototype.start = function () {
     this.tracker = new HT.Tracker();
     this.cbxHull = true;
     this.cbxDefects = true;
+    this.cbxFingers = true;
     this.cbxSkin = false;
     this.video = document.getElementById("video");
     this.canvas = document.getElementById("canvas");
@@ -667,6 +1543,10 @@ DEMO.prototype.draw = function (candidate) {
         if (this.cbxDefects) {
             this.drawDefects(candidate.defects, "blue");
         }
+
+        if (this.cbxFingers) {
+            this.drawFingers(candidate.countFingers(), "yellow");
+        }
     }
 
     //if (this.cbxSkin) {
@@ -708,6 +1588,20 @@ DEMO.prototype.drawDefects = function (defects, color) {
         this.context.closePath();
     }
 };
+DEMO.prototype.drawFingers = function (fingers, color) {
+    var len = fingers.fingertips.length, i = 0, point;
+
+    this.context.fillStyle = color;
+    for (; i < len; ++i) {
+        point = fingers.fingertips[i];
+        this.context.beginPath();
+        this.context.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+        this.context.fill();
+    }
+
+    this.context.font = "24px sans-serif";
+    this.context.fillText(fingers.count + " (" + Math.round(fingers.confidence * 100) + "%)", 10, 30);
+};
 DEMO.prototype.createImage = function (imageSrc, imageDst) {
     var src = imageSrc.data, dst = imageDst.data,
         width = imageSrc.width, span = 4 * width,
@@ -727,7 +1621,4 @@ DEMO.prototype.createImage = function (imageSrc, imageDst) {
 
     return imageDst;
 };
-window.onload = function () {
-    var demo = new DEMO();
-    demo.start();
-};
\ No newline at end of file
+export { CV, HT, DEMO };
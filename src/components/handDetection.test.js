@@ -0,0 +1,369 @@
+import { CV, HT } from './handDetection.js';
+
+// An upright hand: a palm 50 px high with count fingers 50 px long on top,
+// width wide and gap apart. Beside the fingers the palm slopes down by 10 px,
+// like the knuckle line of a hand.
+const handLayout = (count, gap, width) => {
+    const fingersWidth = count * width + (count - 1) * gap;
+    const palmWidth = Math.max(fingersWidth, 60);
+    const left = 100 - Math.floor(palmWidth / 2);
+    const fingersLeft = count > 0 ? left + Math.floor((palmWidth - fingersWidth) / 2) : left;
+
+    return {
+        left: left,
+        right: left + palmWidth,
+        fingersLeft: fingersLeft,
+        fingersRight: count > 0 ? fingersLeft + fingersWidth : left + palmWidth,
+        palmTop: 100
+    };
+};
+
+// The hand as a contour, walked clockwise from the bottom left corner.
+// Fingers have a pointed tip, the middle ones are the longest.
+const handContour = (count, gap, width) => {
+    const hand = handLayout(count, gap, width);
+    const lengths = [30, 38, 42, 38, 30].slice(0, count);
+    const contour = [{ x: hand.left, y: 150 }];
+
+    if (hand.fingersLeft > hand.left) contour.push({ x: hand.left, y: hand.palmTop + 10 });
+    lengths.forEach((length, i) => {
+        const x = hand.fingersLeft + i * (width + gap);
+
+        contour.push({ x: x, y: hand.palmTop });
+        contour.push({ x: x, y: hand.palmTop - length + 4 });
+        contour.push({ x: x + width / 2, y: hand.palmTop - length });
+        contour.push({ x: x + width, y: hand.palmTop - length + 4 });
+        contour.push({ x: x + width, y: hand.palmTop });
+    });
+    if (count === 0) {
+        contour.push({ x: hand.left, y: hand.palmTop });
+        contour.push({ x: hand.right, y: hand.palmTop });
+    }
+    if (hand.fingersRight < hand.right) contour.push({ x: hand.right, y: hand.palmTop + 10 });
+    contour.push({ x: hand.right, y: 150 });
+
+    return contour;
+};
+
+// The same hand as a binary mask with square fingertips, for the contour
+// tracing and polygon approximation of HT.Tracker.
+const handMask = (count, gap, width) => {
+    const hand = handLayout(count, gap, width);
+    const image = new CV.Image(200, 200);
+    const fill = (x0, y0, x1, y1) => {
+        for (let y = y0; y < y1; ++y) {
+            for (let x = x0; x < x1; ++x) {
+                image.data[y * image.width + x] = 255;
+            }
+        }
+    };
+
+    image.data = new Array(200 * 200).fill(0);
+    for (let y = hand.palmTop; y < 150; ++y) {
+        const t = Math.min((y - hand.palmTop) / 10, 1);
+
+        fill(Math.round(hand.fingersLeft + (hand.left - hand.fingersLeft) * t), y,
+             Math.round(hand.fingersRight + (hand.right - hand.fingersRight) * t), y + 1);
+    }
+    for (let i = 0; i < count; ++i) {
+        const x = hand.fingersLeft + i * (width + gap);
+
+        fill(x, 50, x + width, hand.palmTop);
+    }
+
+    return image;
+};
+
+describe('HT.Candidate#countFingers', () => {
+    [5, 11].forEach((gap) => {
+        [0, 1, 2, 3, 4, 5].forEach((count) => {
+            it(`counts ${count} fingers ${gap} px apart on a contour`, () => {
+                const fingers = new HT.Candidate(handContour(count, gap, 8)).countFingers();
+
+                expect(fingers.count).toBe(count);
+                expect(fingers.fingertips.length).toBe(count);
+                expect(fingers.gaps.length).toBe(Math.max(count - 1, 0));
+            });
+
+            it(`counts ${count} fingers ${gap} px apart on a traced mask`, () => {
+                const tracker = new HT.Tracker();
+                const candidate = tracker.findCandidate(CV.findContours(handMask(count, gap, 8)), 100, 0.005);
+
+                expect(candidate.countFingers().count).toBe(count);
+            });
+        });
+    });
+
+    it('finds the fingertips at the tips', () => {
+        const fingers = new HT.Candidate(handContour(2, 11, 8)).countFingers();
+
+        fingers.fingertips.forEach((tip) => expect(tip.y).toBeLessThan(80));
+    });
+
+    it('is confident about a fist without defects', () => {
+        const fingers = new HT.Candidate(handContour(0, 5, 8)).countFingers();
+
+        expect(fingers.confidence).toBe(1);
+    });
+});
+
+// Polygons as lists of { x, y }
+const polygon = (points) => points.map(([x, y]) => ({ x: x, y: y }));
+const rotate = (poly, angle) => poly.map(({ x, y }) => ({
+    x: x * Math.cos(angle) - y * Math.sin(angle),
+    y: x * Math.sin(angle) + y * Math.cos(angle)
+}));
+
+// An L, no symmetry for the moments to hide behind
+const L_SHAPE = polygon([[0, 0], [6, 0], [6, 2], [2, 2], [2, 10], [0, 10]]);
+
+describe('CV.area', () => {
+    it('is the area enclosed by a polygon', () => {
+        expect(CV.area(polygon([[0, 0], [4, 0], [4, 3], [0, 3]]))).toBe(12);
+        expect(CV.area(polygon([[0, 0], [4, 0], [0, 3]]))).toBe(6);
+        expect(CV.area(L_SHAPE)).toBe(28);
+    });
+
+    it('does not depend on the direction of the polygon', () => {
+        expect(CV.area(L_SHAPE.slice().reverse())).toBe(28);
+    });
+
+    it('is zero for a line', () => {
+        expect(CV.area(polygon([[0, 0], [2, 2], [4, 4]]))).toBe(0);
+        expect(CV.area([])).toBe(0);
+    });
+});
+
+describe('CV.moments', () => {
+    it('measures a rectangle', () => {
+        const moments = CV.moments(polygon([[0, 0], [4, 0], [4, 2], [0, 2]]));
+
+        expect(moments.m00).toBe(8);
+        expect(moments.centroid).toEqual({ x: 2, y: 1 });
+        // w^3 h / 12 and w h^3 / 12:
+        expect(moments.mu20).toBeCloseTo(64 * 2 / 12, 10);
+        expect(moments.mu02).toBeCloseTo(4 * 8 / 12, 10);
+        expect(moments.mu11).toBeCloseTo(0, 10);
+        expect(moments.orientation).toBeCloseTo(0, 10);
+        // The axes are as long as the sides, 4 and 2:
+        expect(moments.eccentricity).toBeCloseTo(Math.sqrt(1 - 1 / 4), 10);
+    });
+
+    it('finds the major axis of a turned shape', () => {
+        const bar = polygon([[-5, -1], [5, -1], [5, 1], [-5, 1]]);
+
+        expect(CV.moments(rotate(bar, Math.PI / 6)).orientation).toBeCloseTo(Math.PI / 6, 10);
+        expect(CV.moments(rotate(bar, -Math.PI / 6)).orientation).toBeCloseTo(-Math.PI / 6, 10);
+        expect(Math.abs(CV.moments(rotate(bar, Math.PI / 2)).orientation)).toBeCloseTo(Math.PI / 2, 10);
+    });
+
+    it('is zero eccentric for a square', () => {
+        expect(CV.moments(polygon([[0, 0], [3, 0], [3, 3], [0, 3]])).eccentricity).toBeCloseTo(0, 10);
+    });
+
+    it('gives the same moments clockwise and counter-clockwise', () => {
+        const forward = CV.moments(L_SHAPE);
+        const backward = CV.moments(L_SHAPE.slice().reverse());
+
+        expect(forward.m00).toBe(28);
+        ['m00', 'm10', 'm01', 'm20', 'm11', 'm02', 'm30', 'm21', 'm12', 'm03', 'orientation', 'eccentricity'].forEach((key) => {
+            expect(backward[key]).toBeCloseTo(forward[key], 8);
+        });
+        expect(backward.centroid).toEqual(forward.centroid);
+    });
+
+    it('has Hu invariants unchanged by rotation, scale and translation', () => {
+        const hu = CV.moments(L_SHAPE).hu;
+        const moved = rotate(L_SHAPE, 0.7).map(({ x, y }) => ({ x: 3 * x + 40, y: 3 * y - 15 }));
+
+        expect(hu[0]).toBeGreaterThan(0);
+        CV.moments(moved).hu.forEach((value, i) => {
+            expect(Math.abs(value - hu[i])).toBeLessThan(1e-9 + 1e-6 * Math.abs(hu[i]));
+        });
+    });
+
+    it('places the centroid of a degenerate polygon at the mean of its points', () => {
+        const moments = CV.moments(polygon([[0, 0], [2, 2], [4, 4], [2, 2]]));
+
+        expect(moments.m00).toBe(0);
+        expect(moments.centroid).toEqual({ x: 2, y: 2 });
+        expect(moments.orientation).toBe(0);
+        expect(moments.eccentricity).toBe(0);
+        expect(moments.hu).toEqual([0, 0, 0, 0, 0, 0, 0]);
+    });
+});
+
+describe('HT.Candidate', () => {
+    it('measures the shape of its contour', () => {
+        // A 10 x 10 square with a 2 x 5 notch from the top
+        const candidate = new HT.Candidate(polygon([
+            [0, 0], [0, 10], [10, 10], [10, 0], [6, 0], [6, 5], [4, 5], [4, 0]
+        ]));
+
+        expect(candidate.area).toBe(90);
+        expect(candidate.solidity).toBeCloseTo(0.9, 10);
+        expect(candidate.centroid.x).toBeCloseTo(5, 10);
+        // The notch moves the mass down: (100 * 5 - 10 * 2.5) / 90
+        expect(candidate.centroid.y).toBeCloseTo(475 / 90, 10);
+        expect(candidate.orientation).toBeCloseTo(0, 10);
+    });
+
+    it('is turned along its longer side', () => {
+        const upright = new HT.Candidate(polygon([[0, 0], [0, 10], [2, 10], [2, 0]]));
+
+        expect(upright.solidity).toBeCloseTo(1, 10);
+        expect(Math.abs(upright.orientation)).toBeCloseTo(Math.PI / 2, 10);
+    });
+
+    it('has no solidity without an area', () => {
+        const line = new HT.Candidate(polygon([[0, 0], [5, 0], [10, 0], [5, 0]]));
+
+        expect(line.area).toBe(0);
+        expect(line.solidity).toBe(0);
+        expect(line.centroid).toEqual({ x: 5, y: 0 });
+    });
+});
+
+describe('CV.convexityDefects', () => {
+    it('splits a hull edge touched by the contour in between', () => {
+        // Two notches under one straight top edge
+        const contour = [
+            { x: 0, y: 0 }, { x: 0, y: 10 }, { x: 30, y: 10 }, { x: 30, y: 0 },
+            { x: 25, y: 0 }, { x: 22, y: 6 }, { x: 19, y: 0 },
+            { x: 11, y: 0 }, { x: 8, y: 6 }, { x: 5, y: 0 }
+        ];
+        const defects = CV.convexityDefects(contour, CV.convexHull(contour));
+
+        expect(defects.length).toBe(2);
+        expect(defects.map((defect) => defect.depthPoint)).toEqual(expect.arrayContaining([
+            { x: 22, y: 6 }, { x: 8, y: 6 }
+        ]));
+        defects.forEach((defect) => expect(defect.depth).toBe(6));
+    });
+});
+
+describe('HT.Tracker#detect', () => {
+    // A skin coloured square that never moves
+    const frame = () => {
+        const image = new CV.Image(40, 40, new Uint8ClampedArray(40 * 40 * 4));
+
+        for (let y = 0; y < 40; ++y) {
+            for (let x = 0; x < 40; ++x) {
+                const i = (y * 40 + x) * 4;
+                const skin = x >= 10 && x < 30 && y >= 10 && y < 30;
+
+                image.data.set(skin ? [200, 120, 80, 255] : [0, 0, 0, 255], i);
+            }
+        }
+        return image;
+    };
+
+    it('runs the background model on the frame timestamps', () => {
+        const tracker = new HT.Tracker({ background: { learningTime: 1000 } });
+
+        expect(tracker.detect(frame(), 0)).toBeDefined();
+        expect(tracker.detect(frame(), 500)).toBeDefined();
+        // Learned by the frame clock, however little time really passed:
+        expect(tracker.detect(frame(), 1500)).toBeUndefined();
+    });
+});
+
+describe('CV morphology', () => {
+    const image = (rects) => {
+        const result = new CV.Image(20, 20, new Array(20 * 20).fill(0));
+
+        rects.forEach(([x0, y0, width, height]) => {
+            for (let y = y0; y < y0 + height; ++y) {
+                for (let x = x0; x < x0 + width; ++x) {
+                    result.data[y * 20 + x] = 255;
+                }
+            }
+        });
+        return result;
+    };
+    const count = (result) => result.data.filter((value) => value > 0).length;
+    const at = (result, x, y) => result.data[y * 20 + x];
+    const ellipse = CV.structuringElement('ellipse', 2);
+
+    it('dilates', () => {
+        expect(count(CV.dilate(image([[8, 8, 4, 4]]), new CV.Image()))).toBe(36);
+        expect(count(CV.dilate(image([[8, 8, 4, 4]]), new CV.Image(), null, 2))).toBe(64);
+        expect(count(CV.dilate(image([[10, 10, 1, 1]]), new CV.Image(), ellipse))).toBe(13);
+    });
+
+    it('erodes', () => {
+        expect(count(CV.erode(image([[7, 7, 6, 6]]), new CV.Image()))).toBe(16);
+        expect(count(CV.erode(image([[7, 7, 6, 6]]), new CV.Image(), null, 2))).toBe(4);
+        expect(count(CV.erode(image([[5, 5, 9, 9]]), new CV.Image(), ellipse))).toBe(25);
+    });
+
+    it('dilates and erodes in place', () => {
+        [1, 2, 3].forEach((iterations) => {
+            const src = image([[8, 8, 4, 4]]);
+            const eroded = image([[5, 5, 10, 10]]);
+
+            expect(CV.dilate(src, src, null, iterations)).toBe(src);
+            expect(count(src)).toBe((4 + 2 * iterations) * (4 + 2 * iterations));
+            expect(count(CV.erode(eroded, eroded, null, iterations))).toBe((10 - 2 * iterations) * (10 - 2 * iterations));
+        });
+        const disc = image([[10, 10, 1, 1]]);
+
+        expect(count(CV.dilate(disc, disc, ellipse))).toBe(13);
+    });
+
+    it('leaves the source alone', () => {
+        const src = image([[8, 8, 4, 4]]);
+
+        CV.dilate(src, new CV.Image(), null, 3);
+        expect(count(src)).toBe(16);
+    });
+
+    it('opens: drops specks smaller than the element', () => {
+        const src = image([[2, 2, 1, 1], [12, 2, 3, 3], [6, 8, 6, 6]]);
+        const opened = CV.open(src, new CV.Image());
+        const twice = CV.open(src, new CV.Image(), null, 2);
+
+        expect(at(opened, 2, 2)).toBe(0);
+        expect(count(opened)).toBe(9 + 36);
+        expect(count(twice)).toBe(36);
+        expect(count(CV.open(src, src, ellipse))).toBe(count(CV.open(image([[6, 8, 6, 6]]), new CV.Image(), ellipse)));
+    });
+
+    it('closes: fills gaps narrower than the element', () => {
+        const narrow = image([[4, 6, 5, 8], [11, 6, 5, 8]]);
+        const wide = image([[4, 6, 4, 8], [12, 6, 4, 8]]);
+
+        expect(count(CV.close(narrow, new CV.Image()))).toBe(12 * 8);
+        expect(count(CV.close(wide, new CV.Image()))).toBe(8 * 8);
+        expect(count(CV.close(wide, new CV.Image(), null, 2))).toBe(12 * 8);
+        expect(at(CV.close(image([[4, 4, 2, 6], [7, 4, 4, 6]]), new CV.Image(), ellipse), 6, 6)).toBe(255);
+    });
+
+    it('closes in place', () => {
+        const src = image([[4, 6, 5, 8], [11, 6, 5, 8]]);
+
+        CV.close(src, src, null, 2);
+        expect(count(src)).toBe(12 * 8);
+    });
+
+    it('works in the given scratch image instead of allocating one', () => {
+        const Image = CV.Image;
+        const src = image([[8, 8, 4, 4]]);
+        const dst = image([]);
+        const tmp = image([]);
+        const steps = [{ op: 'dilate', iterations: 2 }, { op: 'erode' }, { op: 'close', iterations: 3 }];
+
+        CV.Image = () => {
+            throw new Error('allocated an image');
+        };
+        try {
+            CV.applyKernelRepeated(src, dst, Math.max, null, 3, tmp);
+            expect(count(dst)).toBe(10 * 10);
+            CV.morphology(src, src, steps, tmp);
+        } finally {
+            CV.Image = Image;
+        }
+        expect(count(src)).toBe(6 * 6);
+        expect(CV.morphology(image([[8, 8, 4, 4]]), new CV.Image(), steps)).toEqual(src);
+    });
+});
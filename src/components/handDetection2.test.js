@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { AsyncDetector, Smoother, objectdetect } from './handDetection2.js';
+import { ClassifierRegistry } from './classifierRegistry.js';
+
+// A two stage cascade with a 20 x 24 window, it fires on most edges
+const CLASSIFIER = Object.assign(new Float32Array([
+    20, 24,
+    -1.25, 2,
+        0, 2, 2, 7, 16, 4, -1, 2, 9, 16, 2, 2, 0.25, -0.75, 0.5,
+        1, 2, 4, 2, 6, 6, -1, 7, 2, 3, 6, 2, -0.125, 0.5, -1.5,
+    0.5, 1,
+        0, 2, 0, 0, 20, 12, -1, 0, 6, 20, 6, 2, 0.5, 1, -1
+]), { tilted: true });
+
+const root = path.join(__dirname, '..', '..');
+
+const loadClassifier = (name) => {
+    const file = path.join(root, 'public', 'classifiers', name);
+    const data = fs.readFileSync(file + '.bin');
+
+    return ClassifierRegistry.decode(JSON.parse(fs.readFileSync(file + '.json', 'utf8')),
+        data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+};
+
+// Stands in for the detection worker: records what is posted to it, and lets
+// a test answer or fail.
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.posted = [];
+        FakeWorker.last = this;
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    lastId() {
+        return this.posted[this.posted.length - 1].id;
+    }
+
+    reply(data) {
+        this.onmessage({ data: data });
+    }
+
+    terminate() {}
+}
+
+describe('objectdetect.multiDetector', () => {
+    // The open hand of the replay sequence, 200 x 160
+    const image = PNG.sync.read(fs.readFileSync(path.join(root, 'replay', 'hand', '0000.png')));
+    const classifiers = { open: loadClassifier('handopen'), edges: CLASSIFIER };
+
+    // Runs each cascade on its own, like before the cascades shared their images
+    const detectEach = (roi) => {
+        const rects = {};
+
+        Object.keys(classifiers).forEach((name) => {
+            const detector = new objectdetect.detector(image.width, image.height, 1.1, classifiers[name]);
+            rects[name] = detector.detectPixels(image.data, 1, 1, roi);
+        });
+        return rects;
+    };
+
+    it('finds what a detector per cascade finds', () => {
+        const multi = new objectdetect.multiDetector(image.width, image.height, 1.1, classifiers);
+        const rects = multi.detectPixels(image.data, 1);
+
+        expect(rects.open.length).toBe(1);
+        expect(rects.edges.length).toBeGreaterThan(1);
+        expect(rects).toEqual(detectEach());
+    });
+
+    it('finds what a detector per cascade finds in a region of interest', () => {
+        const multi = new objectdetect.multiDetector(image.width, image.height, 1.1, classifiers);
+        const roi = [40, 20, 120, 120];
+
+        expect(multi.detectPixels(image.data, 1, 1, roi)).toEqual(detectEach(roi));
+    });
+
+    it('only runs the cascades asked for', () => {
+        const multi = new objectdetect.multiDetector(image.width, image.height, 1.1, classifiers);
+        const rects = multi.detectPixels(image.data, 1, 1, null, false, ['edges']);
+
+        expect(Object.keys(rects)).toEqual(['edges']);
+        expect(rects.edges).toEqual(detectEach().edges);
+    });
+});
+
+describe('AsyncDetector', () => {
+    const classifier = new Float32Array([20, 20]);
+    let worker, detector, errors;
+
+    beforeEach(() => {
+        global.Worker = FakeWorker;
+        window.URL.createObjectURL = () => 'blob:detector';
+        errors = [];
+        detector = new AsyncDetector(40, 30, 1.2, classifier);
+        detector.onError = (error) => errors.push(error);
+        worker = FakeWorker.last;
+    });
+
+    afterEach(() => {
+        delete global.Worker;
+    });
+
+    const pixels = () => new Uint8ClampedArray(40 * 30 * 4);
+
+    it('drops frames while the worker is busy', () => {
+        const results = [];
+
+        expect(detector.detectPixels(pixels(), 1, 1, null, null, (rects) => results.push(rects))).toBe(true);
+        expect(detector.detectPixels(pixels(), 1, 1, null, null, () => {})).toBe(false);
+        expect(detector.framesDropped).toBe(1);
+
+        worker.reply({ type: 'detect', id: worker.lastId(), rects: { classifier: [[1, 2, 3, 4, 5]] } });
+        expect(results).toEqual([[[1, 2, 3, 4, 5]]]);
+        expect(detector.busy).toBe(false);
+    });
+
+    it('reports an error posted by the worker and takes frames again', () => {
+        const callback = jest.fn();
+
+        detector.detectPixels(pixels(), 1, 1, null, null, callback);
+        worker.reply({ type: 'error', id: worker.lastId(), message: 'broken cascade' });
+
+        expect(errors.length).toBe(1);
+        expect(errors[0].message).toMatch(/broken cascade/);
+        expect(detector.busy).toBe(false);
+        expect(callback).not.toHaveBeenCalled();
+        expect(detector.detectPixels(pixels(), 1, 1, null, null, callback)).toBe(true);
+    });
+
+    it('reports an uncaught worker error', () => {
+        const event = { message: 'script error', preventDefault: jest.fn() };
+
+        detector.detectPixels(pixels(), 1, 1, null, null, () => {});
+        worker.onerror(event);
+
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(errors[0].message).toMatch(/script error/);
+        expect(detector.busy).toBe(false);
+    });
+
+    it('reports messages that cannot be read', () => {
+        detector.detectPixels(pixels(), 1, 1, null, null, () => {});
+        worker.onmessageerror({});
+
+        expect(errors.length).toBe(1);
+        expect(detector.busy).toBe(false);
+    });
+
+    it('drops a late result of a failed frame', () => {
+        const callback = jest.fn();
+
+        detector.detectPixels(pixels(), 1, 1, null, null, callback);
+        const id = worker.lastId();
+        worker.onerror({ message: 'out of memory' });
+        worker.reply({ type: 'detect', id: id, rects: { classifier: [] } });
+
+        expect(callback).not.toHaveBeenCalled();
+    });
+});
+
+describe('Smoother', () => {
+    it('measures the time from startTime to now', () => {
+        const smoother = new Smoother([0.5], [0], 0, 1000);
+
+        // After one second half of the distance is closed:
+        expect(smoother.smooth([10], 2000)).toEqual([5]);
+    });
+
+    it('smooths recorded values at their own pace', () => {
+        const fast = new Smoother([0.5], [0], 0, 0);
+        const slow = new Smoother([0.5], [0], 0, 0);
+
+        fast.smooth([10], 100);
+        slow.smooth([10], 2000);
+
+        expect(fast.smooth([10], 200)[0]).toBeLessThan(slow.smooth([10], 4000)[0]);
+    });
+
+    it('starts without a trend', () => {
+        const smoother = new Smoother([0.5, 0.5], [100, 50], 1, 0);
+
+        expect(smoother.smooth([100, 50], 1000)).toEqual([100, 50]);
+    });
+
+    it('returns the last values when no time has passed', () => {
+        const smoother = new Smoother([0.5], [0], 1, 1000);
+        const smoothed = smoother.smooth([10], 2000);
+
+        expect(smoother.smooth([20], 2000)).toEqual(smoothed);
+        expect(smoother.smooth([20], 1500)).toEqual(smoothed);
+    });
+});
@@ -5,7 +5,7 @@ var compatibility = (function () {
     var lastTime = 0,
     isLittleEndian = true,
 
-    URL = window.URL || window.webkitURL,
+    URL = typeof window !== 'undefined' ? window.URL || window.webkitURL : null,
 
     requestAnimationFrame = function (callback, element) {
         var requestAnimationFrame =
@@ -73,9 +73,9 @@ var compatibility = (function () {
 
 //jshg.js
 /*!
- * Javascript Hand Gesture Plugin (JSHG) - jQuery Plugin
+ * Javascript Hand Gesture Plugin (JSHG)
  * version: 1.0 (12, April 2014)
- * requires jQuery v1.6 or later
+ * builds its video, canvases and message with the plain DOM, no jQuery needed
  *
  * Copyright 2014 NUS & HCM
  *
@@ -105,13 +105,13 @@ JSHG.EPSILON = 0.0001;
 /* ------- DATA STRUCTURE ------ */
 JSHG.HandGesture = function () {
     function HandGesture() {
-        if (args.length == 6) {
-            this.isLeft = args[0];
-            this.isRight = args[1];
-            this.isUp = args[2];
-            this.isDown = args[3];
-            this.nFingers = args[4];
-            this.handPos = args[5];
+        if (arguments.length === 6) {
+            this.isLeft = arguments[0];
+            this.isRight = arguments[1];
+            this.isUp = arguments[2];
+            this.isDown = arguments[3];
+            this.nFingers = arguments[4];
+            this.handPos = arguments[5];
         } else {
             this.isLeft = false;
             this.isRight = false;
@@ -192,19 +192,13 @@ JSHG.resetVariables_ = function () {
     JSHG.settings_["debugMode"] = false;
     // dom comp
     JSHG.video_ = null;
-    if (JSHG.videoCanvas_) {
-        JSHG.videoCanvas_.remove();
-    }
+    JSHG.removeElement_(JSHG.videoCanvas_);
     JSHG.videoCanvas_ = null;
     JSHG.videoCanvasctx_ = null;
-    if (JSHG.gestureCanvas_) {
-        JSHG.gestureCanvas_.remove();
-    }
+    JSHG.removeElement_(JSHG.gestureCanvas_);
     JSHG.gestureCanvas_ = null;
     JSHG.gestureCanvasctx_ = null;
-    if (JSHG.learningMessage_) {
-        JSHG.learningMessage_.remove();
-    }
+    JSHG.removeElement_(JSHG.learningMessage_);
     JSHG.learningMessage_ = null;
     // worker
     JSHG.grWorker_ = null;
@@ -278,39 +272,55 @@ JSHG.initWorker_ = function (configs) {
     JSHG.grWorker_.addEventListener('message', JSHG.listenWorkerResponse_, false);
     JSHG.postWorkerMsg_(JSHG.WORKER_INIT_REQUEST, workerInit);
 }
+// create a DOM element, sized if width and height are given
+JSHG.createElement_ = function (tag, id, width, height) {
+    var element = document.createElement(tag);
+    element.id = id;
+    if (width !== undefined) {
+        element.width = width;
+        element.height = height;
+    }
+    return element;
+}
+// take a DOM element out of the page, if it is in
+JSHG.removeElement_ = function (element) {
+    if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+    }
+}
+// whether the video was given the camera stream already
+JSHG.hasStream_ = function () {
+    return !!(JSHG.video_.srcObject || JSHG.video_.getAttribute("src"));
+}
 // create the DOM components to host camera video, canvases
 JSHG.initDOMComponents_ = function () {
-    JSHG.video_ = $('<video/>', { 'id': JSHG.WEBCAM_ID }).attr({
-        'width': JSHG.settings_["cameraWidth"],
-        'height': JSHG.settings_["cameraHeight"]
-    });
-    JSHG.videoCanvas_ = $('<canvas/>', { 'id': JSHG.VIDEO_CANVAS_ID }).attr({
-        'width': JSHG.settings_["cameraWidth"],
-        'height': JSHG.settings_["cameraHeight"]
-    });
-    JSHG.videoCanvasctx_ = JSHG.videoCanvas_[0].getContext('2d');
-    JSHG.learningMessage_ = $('<p/>', { 'id': JSHG.LEARNING_MESSAGE_ID });
+    JSHG.video_ = JSHG.createElement_('video', JSHG.WEBCAM_ID, JSHG.settings_["cameraWidth"], JSHG.settings_["cameraHeight"]);
+    JSHG.videoCanvas_ = JSHG.createElement_('canvas', JSHG.VIDEO_CANVAS_ID, JSHG.settings_["cameraWidth"], JSHG.settings_["cameraHeight"]);
+    JSHG.videoCanvasctx_ = JSHG.videoCanvas_.getContext('2d');
+    JSHG.learningMessage_ = JSHG.createElement_('p', JSHG.LEARNING_MESSAGE_ID);
 
     if (JSHG.gestureArea_) {
         // only create the gesture output canvas when user requests
-        JSHG.gestureCanvas_ = $('<canvas/>', { 'id': JSHG.GESTURE_CANVAS_ID }).attr({
-            'width': JSHG.settings_["gestureDisplayWidth"],
-            'height': JSHG.settings_["gestureDisplayHeight"]
-        });
-        JSHG.gestureCanvasctx_ = JSHG.gestureCanvas_[0].getContext('2d');
+        JSHG.gestureCanvas_ = JSHG.createElement_('canvas', JSHG.GESTURE_CANVAS_ID,
+            JSHG.settings_["gestureDisplayWidth"], JSHG.settings_["gestureDisplayHeight"]);
+        JSHG.gestureCanvasctx_ = JSHG.gestureCanvas_.getContext('2d');
     }
 }
 // register video tag with web camera to start reading frames
 JSHG.startVideo_ = function () {
     try {
         compatibility.getUserMedia({ video: true }, function (stream) {
-            try {
-                JSHG.video_.attr("src", compatibility.URL.createObjectURL(stream));
-            } catch (error) {
-                JSHG.video_.attr("src", stream);
+            if ('srcObject' in JSHG.video_) {
+                JSHG.video_.srcObject = stream;
+            } else {
+                try {
+                    JSHG.video_.src = compatibility.URL.createObjectURL(stream);
+                } catch (error) {
+                    JSHG.video_.src = stream;
+                }
             }
             setTimeout(function () {
-                JSHG.video_[0].play();
+                JSHG.video_.play();
                 JSHG.reqFrameReaderId_ = compatibility.requestAnimationFrame(JSHG.readFrame_);
                 if (JSHG.settings_["actionRate"] > 0) {
                     JSHG.actionIntervalId_ = setInterval(JSHG.scheduleAction_, 1000 / JSHG.settings_["actionRate"]);
@@ -331,7 +341,7 @@ JSHG.startVideo_ = function () {
 JSHG.resumeVideo_ = function () {
     if (!JSHG.video_) return;
 
-    JSHG.video_[0].play();
+    JSHG.video_.play();
     JSHG.reqFrameReaderId_ = compatibility.requestAnimationFrame(JSHG.readFrame_);
     if (JSHG.settings_["actionRate"] > 0) {
         JSHG.actionIntervalId_ = setInterval(JSHG.scheduleAction_, 1000 / JSHG.settings_["actionRate"]);
@@ -341,23 +351,23 @@ JSHG.resumeVideo_ = function () {
 
 JSHG.showLearningCanvas_ = function () {
     if (!JSHG.learningArea_) return;
-    JSHG.learningArea_.append(JSHG.videoCanvas_);
-    JSHG.learningArea_.append(JSHG.learningMessage_);
+    JSHG.learningArea_.appendChild(JSHG.videoCanvas_);
+    JSHG.learningArea_.appendChild(JSHG.learningMessage_);
 }
 JSHG.hideLearningCanvas_ = function () {
     if (!JSHG.learningArea_) return;
     if (JSHG.settings_["debugMode"] == false) {
-        JSHG.videoCanvas_.remove();
+        JSHG.removeElement_(JSHG.videoCanvas_);
     }
-    JSHG.learningMessage_.remove();
+    JSHG.removeElement_(JSHG.learningMessage_);
 }
 JSHG.showGestureCanvas_ = function () {
     if (!JSHG.gestureArea_) return;
-    JSHG.gestureArea_.append(JSHG.gestureCanvas_);
+    JSHG.gestureArea_.appendChild(JSHG.gestureCanvas_);
 }
 JSHG.hideGestureCanvas_ = function () {
     if (!JSHG.gestureArea_) return;
-    JSHG.gestureCanvas_.remove();
+    JSHG.removeElement_(JSHG.gestureCanvas_);
 }
 
 // start the learning process
@@ -370,11 +380,11 @@ JSHG.startLearning_ = function () {
     function countDown() {
         JSHG.learningCountDown_ -= 1;
         if (JSHG.learningCountDown_ > 0) {
-            JSHG.learningMessage_.html(JSHG.LEARNING_MESSAGE + JSHG.learningCountDown_);
+            JSHG.learningMessage_.textContent = JSHG.LEARNING_MESSAGE + JSHG.learningCountDown_;
             JSHG.countDownId_ = setTimeout(countDown, 1000);
         } else {
             JSHG.countDownId_ = 0;
-            JSHG.learningMessage_.html("Please wait ...");
+            JSHG.learningMessage_.textContent = "Please wait ...";
         }
     }
     JSHG.countDownId_ = setTimeout(countDown, 1000);
@@ -382,12 +392,12 @@ JSHG.startLearning_ = function () {
 
 // the frame from camera is read and proceeded here
 JSHG.readFrame_ = function () {
-    if (!JSHG.video_ || JSHG.video_[0].paused) return;
+    if (!JSHG.video_ || JSHG.video_.paused) return;
 
-    if (JSHG.video_[0].readyState === JSHG.video_[0].HAVE_ENOUGH_DATA) {
+    if (JSHG.video_.readyState === JSHG.video_.HAVE_ENOUGH_DATA) {
         try {
-            JSHG.videoCanvasctx_.drawImage(JSHG.video_[0], 0, 0, JSHG.videoCanvas_[0].width, JSHG.videoCanvas_[0].height);
-            var frame = JSHG.videoCanvasctx_.getImageData(0, 0, JSHG.videoCanvas_[0].width, JSHG.videoCanvas_[0].height);
+            JSHG.videoCanvasctx_.drawImage(JSHG.video_, 0, 0, JSHG.videoCanvas_.width, JSHG.videoCanvas_.height);
+            var frame = JSHG.videoCanvasctx_.getImageData(0, 0, JSHG.videoCanvas_.width, JSHG.videoCanvas_.height);
 
             if (JSHG.settings_["debugMode"]) {
                 // record performance
@@ -437,7 +447,7 @@ JSHG.postWorkerMsg_ = function (type, data) {
 // listen the response from the worker after it finishes proceeding the frame.
 JSHG.listenWorkerResponse_ = function (e) {
     var receivedData = e.data;
-    if (!JSHG.video_ || JSHG.video_[0].paused || (JSHG.isLearning_ && receivedData.type != JSHG.WORKER_LEARN_REQUEST)) {
+    if (!JSHG.video_ || JSHG.video_.paused || (JSHG.isLearning_ && receivedData.type != JSHG.WORKER_LEARN_REQUEST)) {
         JSHG.isWorkerBusy_ = false;
         return;
     }
@@ -452,7 +462,7 @@ JSHG.listenWorkerResponse_ = function (e) {
             localStorage.setItem('skinColors', JSON.stringify(JSHG.settings_["skinColors"]));
         }
         JSHG.isLearning_ = false;
-        JSHG.learningMessage_.html("");
+        JSHG.learningMessage_.textContent = "";
         JSHG.hideLearningCanvas_();
         JSHG.showGestureCanvas_();
         if (JSHG.learnCallback_ != null)
@@ -529,7 +539,7 @@ JSHG.drawHandInfo_ = function () {
 
     // draw threshold
     if (JSHG.handInfo_ && JSHG.handInfo_.threshImage) {
-        var canvasImage = JSHG.gestureCanvasctx_.createImageData(JSHG.gestureCanvas_[0].width, JSHG.gestureCanvas_[0].height);
+        var canvasImage = JSHG.gestureCanvasctx_.createImageData(JSHG.gestureCanvas_.width, JSHG.gestureCanvas_.height);
         var totalSize = JSHG.handInfo_.threshImage.length; // pixel
         var ind = 0;
         for (var pixel = 0; pixel < totalSize; pixel++) {
@@ -539,7 +549,7 @@ JSHG.drawHandInfo_ = function () {
         }
         JSHG.gestureCanvasctx_.putImageData(canvasImage, 0, 0);
     } else {
-        JSHG.gestureCanvasctx_.drawImage(JSHG.videoCanvas_[0], 0, 0, w, h);
+        JSHG.gestureCanvasctx_.drawImage(JSHG.videoCanvas_, 0, 0, w, h);
     }
 
 
@@ -555,10 +565,10 @@ JSHG.drawHandInfo_ = function () {
     if (JSHG.handInfo_) {
 
         if (JSHG.settings_["debugMode"]) {
-            debugInfo = JSHG.handInfo_.debugInfo;
-            drawContour([debugInfo.contour.contour], JSHG.gestureCanvasctx_, ["#FF0000"]);
-            drawLines(debugInfo.hullLines, JSHG.gestureCanvasctx_, ["#00FFFF"]);
-            drawLines(debugInfo.defectLines, JSHG.gestureCanvasctx_, ["#FF00FF"]);
+            var debugInfo = JSHG.handInfo_.debugInfo;
+            JSHG.drawContour_([debugInfo.contour.contour], JSHG.gestureCanvasctx_, ["#FF0000"]);
+            JSHG.drawLines_(debugInfo.hullLines, JSHG.gestureCanvasctx_, ["#00FFFF"]);
+            JSHG.drawLines_(debugInfo.defectLines, JSHG.gestureCanvasctx_, ["#FF00FF"]);
         }
 
         if (JSHG.handInfo_.handPos && JSHG.handInfo_.handPos.length == 2) {
@@ -571,13 +581,43 @@ JSHG.drawHandInfo_ = function () {
             for (var i = 0; i < JSHG.handInfo_.fingers.length; i++) {
                 JSHG.gestureCanvasctx_.fillStyle = JSHG.settings_["colorFingerPos"];
                 var x = JSHG.handInfo_.fingers[i][0] * ratioW;
-                var y = JSHG.handInfo_.fingers[i][1] * ratioW;
+                var y = JSHG.handInfo_.fingers[i][1] * ratioH;
                 JSHG.gestureCanvasctx_.fillRect(x, y, 10 * ratioW, 10 * ratioH);
             }
         }
     }
 }
 
+// contours are lists of [x, y] points, colors are used in turn
+JSHG.drawContour_ = function (contours, ctx, colors) {
+    ctx.setLineDash([]);
+    for (var i = 0; i < contours.length; ++i) {
+        var contour = contours[i];
+        if (contour.length === 0) continue;
+
+        ctx.strokeStyle = colors[i % colors.length];
+        ctx.beginPath();
+        ctx.moveTo(contour[0][0], contour[0][1]);
+        for (var j = 1; j < contour.length; ++j) {
+            ctx.lineTo(contour[j][0], contour[j][1]);
+        }
+        ctx.closePath();
+        ctx.stroke();
+    }
+}
+
+// lines are [x1, y1, x2, y2], colors are used in turn
+JSHG.drawLines_ = function (lines, ctx, colors) {
+    ctx.setLineDash([]);
+    for (var i = 0; i < lines.length; ++i) {
+        ctx.strokeStyle = colors[i % colors.length];
+        ctx.beginPath();
+        ctx.moveTo(lines[i][0], lines[i][1]);
+        ctx.lineTo(lines[i][2], lines[i][3]);
+        ctx.stroke();
+    }
+}
+
 JSHG.drawLearningPoints_ = function () {
     JSHG.videoCanvasctx_.strokeStyle = JSHG.settings_["colorLearningPoints"];
     for (var i = 0; i < JSHG.settings_["learningPoints"].length; ++i) {
@@ -613,9 +653,9 @@ JSHG.init = function (args) {
     if ("learnCallback" in args)
         JSHG.learnCallback_ = args["learnCallback"];
     if ("learnDivId" in args)
-        JSHG.learningArea_ = $("#" + args["learnDivId"]);
+        JSHG.learningArea_ = document.getElementById(args["learnDivId"]);
     if ("gestureDivId" in args)
-        JSHG.gestureArea_ = $("#" + args["gestureDivId"]);
+        JSHG.gestureArea_ = document.getElementById(args["gestureDivId"]);
 
     // verify settings
     if ("settings" in args) {
@@ -644,7 +684,7 @@ JSHG.run = function () {
     if (JSHG.isRunning_)
         return;
 
-    if (!JSHG.video_.attr("src")) {
+    if (!JSHG.hasStream_()) {
         // first time
         JSHG.startVideo_();
     } else {
@@ -664,7 +704,7 @@ JSHG.learnSkinColor = function () {
     if (JSHG.isRunning_) {
         JSHG.startLearning_();
     } else {
-        if (!JSHG.video_.attr("src")) {
+        if (!JSHG.hasStream_()) {
             // first time
             JSHG.startVideo_();
         } else {
@@ -675,14 +715,14 @@ JSHG.learnSkinColor = function () {
 }
 
 JSHG.stop = function () {
-    if (JSHG.video_ == null || JSHG.video_[0].paused) return;
+    if (JSHG.video_ == null || JSHG.video_.paused) return;
 
     if (JSHG.settings_["debugMode"] == false) {
         JSHG.hideLearningCanvas_();
         JSHG.hideGestureCanvas_();
     }
 
-    JSHG.video_[0].pause();
+    JSHG.video_.pause();
     compatibility.cancelAnimationFrame(JSHG.reqFrameReaderId_);
     if (JSHG.settings_["actionRate"] > 0) {
         clearInterval(JSHG.actionIntervalId_);
@@ -719,25 +759,4 @@ JSHG.isInitialized = function () {
     }
     return false;
 }
-window.onload = function () {
-    debugger;
-    var actionMapper = function (gesture) {
-
-        if (gesture.isLeft) {
-            console.log("Hey, your hand is on the left side");
-        }
-    };
-    JSHG.init({
-        "actionCallback": actionMapper,
-        "learnDivId": "gestureShownHere",
-        "gestureDivId": "gestureShownHere",
-        "settings": {
-            "cameraWidth": 500,
-            "cameraHeight": 400,
-            "gestureDisplayWidth": 100,
-            "gestureDisplayHeight": 80
-        },
-    });
-
-    
-}
\ No newline at end of file
+export { JSHG };
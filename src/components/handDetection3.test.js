@@ -0,0 +1,70 @@
+import { JSHG } from './handDetection3.js';
+
+describe('JSHG.HandGesture', () => {
+    it('takes the position and fingers as arguments', () => {
+        const gesture = new JSHG.HandGesture(true, false, false, true, 3, [10, 20]);
+
+        expect(gesture.isLeft).toBe(true);
+        expect(gesture.isDown).toBe(true);
+        expect(gesture.nFingers).toBe(3);
+        expect(gesture.handPos).toEqual([10, 20]);
+        expect(gesture.equals(new JSHG.HandGesture(true, false, false, true, 3, [10, 20]))).toBe(true);
+    });
+
+    it('defaults to no hand', () => {
+        const gesture = new JSHG.HandGesture();
+
+        expect(gesture.nFingers).toBe(0);
+        expect(gesture.handPos).toEqual([-1, -1]);
+    });
+});
+
+describe('JSHG.init', () => {
+    const original = { Worker: global.Worker, localStorage: global.localStorage };
+    const getContext = HTMLCanvasElement.prototype.getContext;
+    let posted;
+
+    beforeEach(() => {
+        posted = [];
+        global.Worker = class {
+            addEventListener() {}
+            postMessage(message) {
+                posted.push(message);
+            }
+            terminate() {}
+        };
+        global.localStorage = { getItem: () => null, setItem: () => {} };
+        HTMLCanvasElement.prototype.getContext = () => ({});
+        document.body.innerHTML = '<div id="learn"></div><div id="gesture"></div>';
+    });
+
+    afterEach(() => {
+        JSHG.delete();
+        Object.assign(global, original);
+        HTMLCanvasElement.prototype.getContext = getContext;
+    });
+
+    it('builds its video and canvases without jQuery', () => {
+        JSHG.init({ actionCallback: () => {}, learnDivId: 'learn', gestureDivId: 'gesture' });
+
+        expect(JSHG.video_.tagName).toBe('VIDEO');
+        expect(JSHG.videoCanvas_.width).toBe(500);
+        expect(JSHG.gestureCanvas_.height).toBe(100);
+        expect(JSHG.learningArea_).toBe(document.getElementById('learn'));
+        expect(posted[0].type).toBe(JSHG.WORKER_INIT_REQUEST);
+    });
+
+    it('shows and hides its canvases in the given areas', () => {
+        JSHG.init({ actionCallback: () => {}, learnDivId: 'learn', gestureDivId: 'gesture' });
+
+        JSHG.showLearningCanvas_();
+        JSHG.showGestureCanvas_();
+        expect(document.getElementById('learn').children.length).toBe(2);
+        expect(document.getElementById(JSHG.GESTURE_CANVAS_ID)).toBe(JSHG.gestureCanvas_);
+
+        JSHG.hideLearningCanvas_();
+        JSHG.hideGestureCanvas_();
+        expect(document.getElementById('learn').children.length).toBe(0);
+        expect(document.getElementById('gesture').children.length).toBe(0);
+    });
+});
@@ -0,0 +1,855 @@
+import { objectdetect, AsyncDetector } from './handDetection2.js';
+import { HT } from './handDetection.js';
+import { JSHG } from './handDetection3.js';
+import { ClassifierRegistry } from './classifierRegistry.js';
+import { HandTracker } from './handTracker.js';
+import { PoseClassifier } from './poseClassifier.js';
+
+//HandDetectors.js
+/**
+ * One interface over the three hand detection engines of the app:
+ *
+ * - haar: the objectdetect Haar cascades of handDetection2.js
+ * - skin: the HT.Tracker skin contour tracker of handDetection.js
+ * - jshg: the JSHG gestureRecognizer worker of handDetection3.js
+ *
+ * Every detector has detect(frame, callback[, hints]) and dispose(). A frame
+ * is an image, video or canvas element, or an ImageData-like object with
+ * width, height and RGBA data. The callback gets a list of observations:
+ *
+ *     {
+ *         engine:     'haar', 'skin' or 'jshg',
+ *         box:        [x, y, width, height],
+ *         centroid:   [x, y] centre of the hand, the mass centre of its
+ *                     contour where the engine has one,
+ *         contour:    [[x, y], ...] or null,
+ *         fingers:    [[x, y], ...] fingertips, empty if unknown,
+ *         pose:       'open', 'fist' or null. The skin engine also
+ *                     knows 'point', 'peace' and 'thumb', and any pose
+ *                     added to its PoseClassifier,
+ *         confidence: Number in [0, 1]
+ *     }
+ *
+ * All coordinates are fractions of the frame size, so engines working at
+ * different resolutions can be compared directly. detect() returns false if
+ * the frame was dropped because the engine is still busy with an earlier one;
+ * the callback is not called then.
+ */
+
+/**
+ * Bilinear resize of an RGBA ImageData-like object.
+ *
+ * @param {Object} image  Source { width, height, data }
+ * @param {Number} width  Target width
+ * @param {Number} height Target height
+ *
+ * @return {Object} Resized { width, height, data }, the source if same size
+ */
+var resizeImageData = function (image, width, height) {
+    if (image.width === width && image.height === height) return image;
+
+    var src = image.data,
+        dst = new Uint8ClampedArray(width * height * 4),
+        scaleX = image.width / width,
+        scaleY = image.height / height,
+        maxX = image.width - 1,
+        maxY = image.height - 1,
+        index = 0;
+
+    for (var y = 0; y < height; ++y) {
+        var sy = Math.min(Math.max((y + 0.5) * scaleY - 0.5, 0), maxY),
+            y0 = Math.floor(sy),
+            y1 = Math.min(y0 + 1, maxY),
+            fy = sy - y0;
+
+        for (var x = 0; x < width; ++x) {
+            var sx = Math.min(Math.max((x + 0.5) * scaleX - 0.5, 0), maxX),
+                x0 = Math.floor(sx),
+                x1 = Math.min(x0 + 1, maxX),
+                fx = sx - x0,
+                i00 = (y0 * image.width + x0) * 4,
+                i01 = (y0 * image.width + x1) * 4,
+                i10 = (y1 * image.width + x0) * 4,
+                i11 = (y1 * image.width + x1) * 4;
+
+            for (var c = 0; c < 4; ++c) {
+                var top = src[i00 + c] + (src[i01 + c] - src[i00 + c]) * fx,
+                    bottom = src[i10 + c] + (src[i11 + c] - src[i10 + c]) * fx;
+                dst[index++] = top + (bottom - top) * fy;
+            }
+        }
+    }
+
+    return { width: width, height: height, data: dst };
+};
+
+var isPixelFrame = function (frame) {
+    return !!frame.data;
+};
+
+/**
+ * Size of a frame: video elements report their stream size separately from
+ * their layout size.
+ */
+var frameSize = function (frame) {
+    if (frame.videoWidth) {
+        return { width: frame.videoWidth, height: frame.videoHeight };
+    }
+    return { width: frame.naturalWidth || frame.width, height: frame.naturalHeight || frame.height };
+};
+
+/**
+ * Reads frames at a fixed working resolution: elements are drawn on a
+ * scratch canvas, pixel frames are resized in JavaScript.
+ *
+ * @param {Number} width  Working width
+ * @param {Number} height Working height
+ */
+var FrameSampler = function (width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas = null;
+    this.context = null;
+};
+
+FrameSampler.prototype.read = function (frame) {
+    if (isPixelFrame(frame)) {
+        return resizeImageData(frame, this.width, this.height);
+    }
+
+    if (!this.canvas) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.context = this.canvas.getContext('2d');
+    }
+    this.context.drawImage(frame, 0, 0, this.width, this.height);
+    return this.context.getImageData(0, 0, this.width, this.height);
+};
+
+/**
+ * Pose for engines that only know the number of raised fingers.
+ */
+var poseFromFingers = function (count) {
+    if (count >= 4) return 'open';
+    if (count === 0) return 'fist';
+    return null;
+};
+
+var boxOfBoxes = function (boxes) {
+    var xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+
+    for (var i = 0; i < boxes.length; ++i) {
+        xmin = Math.min(xmin, boxes[i][0]);
+        ymin = Math.min(ymin, boxes[i][1]);
+        xmax = Math.max(xmax, boxes[i][0] + boxes[i][2]);
+        ymax = Math.max(ymax, boxes[i][1] + boxes[i][3]);
+    }
+    return [xmin, ymin, xmax - xmin, ymax - ymin];
+};
+
+var now = function () {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+};
+
+var boxOfPoints = function (points) {
+    var xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+
+    for (var i = 0; i < points.length; ++i) {
+        xmin = Math.min(xmin, points[i][0]);
+        xmax = Math.max(xmax, points[i][0]);
+        ymin = Math.min(ymin, points[i][1]);
+        ymax = Math.max(ymax, points[i][1]);
+    }
+    return points.length ? [xmin, ymin, xmax - xmin, ymax - ymin] : [0, 0, 0, 0];
+};
+
+/**
+ * Of grouped rectangles that overlap by more than maxIoU, keeps the one with
+ * the most neighbors.
+ */
+var mergeRects = function (rects, maxIoU) {
+    var kept = [];
+
+    rects.slice(0).sort(function (a, b) {
+        return b[4] - a[4];
+    }).forEach(function (rect) {
+        var duplicate = kept.some(function (other) {
+            return HandTracker.iou(rect, other) > maxIoU;
+        });
+        if (!duplicate) kept.push(rect);
+    });
+    return kept;
+};
+
+//HaarDetector
+/**
+ * Adapter for the objectdetect Haar cascades, one cascade per pose, all run
+ * by one multi-cascade detector so they share the preprocessing of each
+ * frame. Every grouped rectangle becomes an observation. The cascades are fetched through
+ * ClassifierRegistry on the first frame; frames are dropped until they are
+ * loaded, and detect() throws if loading failed.
+ *
+ * @param {Object}   [options]
+ * @param {Array}    [options.poses]        Poses to look for, 'open' and 'fist'
+ * @param {Object}   [options.classifiers]  Registry names of the cascades by
+ *                                          pose, defaults to CLASSIFIERS
+ * @param {Number}   [options.height]       Working height, 140 by default
+ * @param {Number}   [options.scaleFactor]  Scaling factor between scales
+ * @param {Number}   [options.minNeighbors] Minimum neighbors of a grouped rect
+ * @param {Boolean}  [options.useWorker]    Run the cascades in Web Workers.
+ *                                          Defaults to true where supported
+ * @param {Object}   [options.roi]          Search around the hands of the last
+ *                                          frame instead of the full frame.
+ *                                          False to always scan everything
+ * @param {Number}   [options.roi.padding]  Margin around the last hands, as a
+ *                                          share of their size
+ * @param {Number}   [options.roi.fullScanInterval] Frames after which the full
+ *                                          frame is scanned anyway, to find
+ *                                          hands entering elsewhere
+ * @param {Object}   [options.preprocessing] Histogram equalization, contrast
+ *                                          normalization and Canny pruning
+ *                                          of the frames, see
+ *                                          objectdetect.multiDetector
+ * @param {Boolean}  [options.debug]        Keep the intermediate images for
+ *                                          getDebugImages()
+ * @param {Boolean}  [options.mirrored]     Also run the mirrored cascades, so
+ *                                          the hand the cascades were not
+ *                                          trained on is found as well. Hits
+ *                                          of both on the same hand are merged
+ */
+var HaarDetector = function (options) {
+    this.options = options || {};
+    this.poses = this.options.poses || ['open', 'fist'];
+    this.height = this.options.height || 140;
+    this.scaleFactor = this.options.scaleFactor || 1.1;
+    this.minNeighbors = this.options.minNeighbors || 3;
+    this.useWorker = this.options.useWorker !== undefined ?
+        this.options.useWorker && AsyncDetector.isSupported() : AsyncDetector.isSupported();
+    this.roi = this.options.roi === false ? null : {
+        padding: (this.options.roi && this.options.roi.padding) || 0.5,
+        fullScanInterval: (this.options.roi && this.options.roi.fullScanInterval) || 10
+    };
+    this.classifierNames = this.options.classifiers || HaarDetector.CLASSIFIERS;
+    this.mirrored = !!this.options.mirrored;
+    this.classifiers = null;
+    this.loading = false;
+    this.error = null;
+    this.detector = null;
+    this.sampler = null;
+    this.lastHands = null;
+    this.framesSinceFullScan = 0;
+    this.stats = { fullScans: 0, roiScans: 0, fullScanTime: 0, roiScanTime: 0 };
+
+    for (var i = 0; i < this.poses.length; ++i) {
+        if (!this.classifierNames[this.poses[i]]) {
+            throw new Error('No Haar cascade for the pose ' + this.poses[i]);
+        }
+    }
+};
+
+HaarDetector.CLASSIFIERS = {
+    open: 'handopen',
+    fist: 'handfist'
+};
+
+// Suffix of the names the mirrored cascades are run under:
+HaarDetector.MIRRORED = '-mirrored';
+
+HaarDetector.prototype.load = function () {
+    var that = this,
+        names = this.poses.map(function (pose) {
+            return that.classifierNames[pose];
+        });
+
+    if (this.loading) return;
+
+    this.loading = true;
+    ClassifierRegistry.loadAll(names).then(function (classifiers) {
+        that.classifiers = {};
+        that.poses.forEach(function (pose) {
+            that.classifiers[pose] = classifiers[that.classifierNames[pose]];
+        });
+    }, function (error) {
+        that.error = error;
+    });
+};
+
+HaarDetector.prototype.init = function (frame) {
+    var that = this,
+        size = frameSize(frame),
+        width = ~~(this.height * size.width / size.height),
+        height = this.height,
+        options = { preprocessing: this.options.preprocessing, debug: this.options.debug },
+        cascades = {};
+
+    for (var pose in this.classifiers) {
+        cascades[pose] = this.classifiers[pose];
+        if (this.mirrored) {
+            cascades[pose + HaarDetector.MIRRORED] = objectdetect.mirrorClassifier(this.classifiers[pose]);
+            cascades[pose + HaarDetector.MIRRORED].tilted = this.classifiers[pose].tilted;
+        }
+    }
+
+    this.sampler = new FrameSampler(width, height);
+    if (this.useWorker) {
+        this.detector = new AsyncDetector(width, height, this.scaleFactor, cascades, options);
+        // Thrown by the next detect(), like a failure to load the cascades:
+        this.detector.onError = function (error) {
+            that.error = error;
+        };
+    } else {
+        this.detector = new objectdetect.multiDetector(width, height, this.scaleFactor, cascades, options);
+    }
+};
+
+/**
+ * @param {Object}   frame     Element or ImageData-like frame
+ * @param {Function} callback  Called with the observations
+ * @param {Object}   [hints]
+ * @param {Array}    [hints.poses] Only run the cascades of these poses
+ *
+ * @return {Boolean} False if the frame was dropped
+ */
+HaarDetector.prototype.detect = function (frame, callback, hints) {
+    var that = this,
+        poses = (hints && hints.poses) || this.poses,
+        startTime = now(),
+        names, pixels, roi, done;
+
+    if (this.error) throw this.error;
+    if (!this.classifiers) {
+        this.load();
+        return false;
+    }
+    if (!this.detector) this.init(frame);
+
+    poses = poses.filter(function (pose) {
+        return !!that.classifiers[pose];
+    });
+    if (poses.length === 0) {
+        callback([]);
+        return true;
+    }
+    if (this.detector.busy) return false;
+
+    names = !this.mirrored ? poses : poses.concat(poses.map(function (pose) {
+        return pose + HaarDetector.MIRRORED;
+    }));
+    roi = this.nextRoi();
+    pixels = this.sampler.read(frame).data;
+    done = function (rectsByPose) {
+        var observations = [];
+        poses.forEach(function (pose) {
+            var rects = !that.mirrored ? rectsByPose[pose] :
+                mergeRects(rectsByPose[pose].concat(rectsByPose[pose + HaarDetector.MIRRORED]), 0.5);
+            observations = observations.concat(that.toObservations(rects, pose));
+        });
+        that.onScanned(roi, observations, now() - startTime);
+        callback(observations);
+    };
+
+    if (this.useWorker) {
+        this.detector.detectPixels(pixels, this.minNeighbors, 1, roi, false, done, names);
+    } else {
+        done(this.detector.detectPixels(pixels, this.minNeighbors, 1, roi, false, names));
+    }
+    return true;
+};
+
+/**
+ * Region to scan next, in working resolution pixels: the hands of the last
+ * frame plus padding, never smaller than twice the cascade windows. Null for
+ * a full scan, when no hand was seen or a full scan is due.
+ */
+HaarDetector.prototype.nextRoi = function () {
+    var width = this.sampler.width,
+        height = this.sampler.height,
+        box = this.lastHands,
+        minWidth = 0,
+        minHeight = 0,
+        padX, padY, x, y, w, h;
+
+    if (!this.roi || !box || this.framesSinceFullScan >= this.roi.fullScanInterval) {
+        return null;
+    }
+
+    for (var pose in this.classifiers) {
+        var classifier = this.classifiers[pose];
+        minWidth = Math.max(minWidth, classifier[0] * 2);
+        minHeight = Math.max(minHeight, classifier[1] * 2);
+    }
+
+    padX = box[2] * width * this.roi.padding;
+    padY = box[3] * height * this.roi.padding;
+    w = Math.max(box[2] * width + 2 * padX, minWidth);
+    h = Math.max(box[3] * height + 2 * padY, minHeight);
+    x = (box[0] + box[2] / 2) * width - w / 2;
+    y = (box[1] + box[3] / 2) * height - h / 2;
+
+    // Keep the size at the borders by shifting the region inwards:
+    x = Math.max(0, Math.min(x, width - w));
+    y = Math.max(0, Math.min(y, height - h));
+    return [x, y, Math.min(w, width), Math.min(h, height)];
+};
+
+HaarDetector.prototype.onScanned = function (roi, observations, time) {
+    if (roi) {
+        ++this.framesSinceFullScan;
+        ++this.stats.roiScans;
+        this.stats.roiScanTime += time;
+    } else {
+        this.framesSinceFullScan = 0;
+        ++this.stats.fullScans;
+        this.stats.fullScanTime += time;
+    }
+
+    // A lost hand makes the next frame a full scan:
+    this.lastHands = observations.length ? boxOfBoxes(observations.map(function (observation) {
+        return observation.box;
+    })) : null;
+};
+
+/**
+ * How the region of interest search paid off so far.
+ *
+ * @return {Object} Number of full and region scans, their average times in
+ *                  ms, and the estimated time in ms saved by scanning regions
+ *                  instead of full frames
+ */
+HaarDetector.prototype.getStats = function () {
+    var stats = this.stats,
+        fullScanTime = stats.fullScans ? stats.fullScanTime / stats.fullScans : 0,
+        roiScanTime = stats.roiScans ? stats.roiScanTime / stats.roiScans : 0;
+
+    return {
+        fullScans: stats.fullScans,
+        roiScans: stats.roiScans,
+        averageFullScanTime: fullScanTime,
+        averageRoiScanTime: roiScanTime,
+        timeSaved: stats.fullScans ? stats.roiScans * (fullScanTime - roiScanTime) : 0
+    };
+};
+
+/**
+ * Intermediate images of the last frame, if the debug option is set.
+ *
+ * @return {Object} { gray, preprocessed, edges }, each { width, height, data }
+ *                  with 8-bit grayscale data, or null if the step is off. Null
+ *                  before the first frame or without the debug option
+ */
+HaarDetector.prototype.getDebugImages = function () {
+    return this.detector ? this.detector.debugImages : null;
+};
+
+HaarDetector.prototype.toObservations = function (rects, pose) {
+    var width = this.sampler.width,
+        height = this.sampler.height,
+        minNeighbors = this.minNeighbors;
+
+    return rects.map(function (rect) {
+        return {
+            engine: 'haar',
+            box: [rect[0] / width, rect[1] / height, rect[2] / width, rect[3] / height],
+            centroid: [(rect[0] + rect[2] / 2) / width, (rect[1] + rect[3] / 2) / height],
+            contour: null,
+            fingers: [],
+            pose: pose,
+            // More grouped neighbors means more overlapping hits for this hand:
+            confidence: rect[4] / (rect[4] + minNeighbors),
+            neighbors: rect[4]
+        };
+    });
+};
+
+HaarDetector.prototype.dispose = function () {
+    if (this.detector && this.detector.dispose) {
+        this.detector.dispose();
+    }
+    this.detector = null;
+};
+
+//SkinContourDetector
+/**
+ * Adapter for HT.Tracker: the largest skin coloured contour is the hand, its
+ * convexity defects give the fingers.
+ *
+ * The skin model can be fitted to the user with calibrate(), for the 'hsv'
+ * and 'histogram' skin segmentations. The calibrated model is saved, and used
+ * by default from then on.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.width]     Working width, 160 by default
+ * @param {Object} [options.tracker]   Params of HT.Tracker, like the skin
+ *                                     segmentation to use in skinner, or
+ *                                     the background subtraction in
+ *                                     background
+ * @param {Object} [options.fingers]   Params of HT.Candidate#countFingers
+ * @param {Object} [options.skinModel] Model of the skin segmentation.
+ *                                     Defaults to the saved one, or the
+ *                                     built-in one
+ * @param {Object} [options.poses]     PoseClassifier that names the pose of
+ *                                     the contour, or its options
+ */
+var SkinContourDetector = function (options) {
+    var params;
+
+    this.options = options || {};
+    this.width = this.options.width || 160;
+
+    params = Object.assign({ skinner: 'hsv' }, this.options.tracker);
+    this.storageKey = (HT.SKINNERS[params.skinner] && HT.SKINNERS[params.skinner].STORAGE_KEY) || null;
+    if (!params.skinModel) {
+        params.skinModel = this.options.skinModel || (this.storageKey ? HT.Skinner.load(this.storageKey) : null);
+    }
+    this.tracker = new HT.Tracker(params);
+    this.poseClassifier = this.options.poses instanceof PoseClassifier ? this.options.poses :
+        new PoseClassifier(Object.assign({ fingers: this.options.fingers }, this.options.poses));
+    this.sampler = null;
+};
+
+/**
+ * Points the hand is held over for calibration, in normalized frame
+ * coordinates: the centre of the frame and four points around it, like the
+ * learning points of JSHG.
+ */
+SkinContourDetector.LEARNING_POINTS = [
+    [0.5, 0.4], [0.42, 0.5], [0.5, 0.5], [0.58, 0.5], [0.5, 0.6]
+];
+
+SkinContourDetector.prototype.initSampler = function (frame) {
+    if (!this.sampler) {
+        var size = frameSize(frame);
+        this.sampler = new FrameSampler(this.width, Math.round(this.width * size.height / size.width));
+    }
+};
+
+/**
+ * @param {Object}   frame
+ * @param {Function} callback
+ * @param {Object}   [hints]
+ * @param {Number}   [hints.now] Timestamp of the frame in ms, for the
+ *                               background model
+ */
+SkinContourDetector.prototype.detect = function (frame, callback, hints) {
+    this.initSampler(frame);
+
+    var image = this.sampler.read(frame),
+        candidate = this.tracker.detect(image, hints && hints.now);
+
+    callback(candidate ? [this.toObservation(candidate, image.width, image.height)] : []);
+    return true;
+};
+
+/**
+ * Fits the skin model to the colours under the learning points, and saves it.
+ * The 'hsv' segmentation fits its thresholds, the 'histogram' one is trained
+ * from scratch on the sampled colours.
+ *
+ * @param {Object} frame    Frame with the hand held over the learning points
+ * @param {Array}  [points] Learning points in normalized frame coordinates,
+ *                          defaults to LEARNING_POINTS
+ * @param {Object} [params] Params of HT.Skinner.calibrate
+ *
+ * @return {Object} The new skin model
+ */
+SkinContourDetector.prototype.calibrate = function (frame, points, params) {
+    this.initSampler(frame);
+
+    var skinner = this.tracker.skinner,
+        image = this.sampler.read(frame),
+        model;
+
+    points = (points || SkinContourDetector.LEARNING_POINTS).map(function (point) {
+        return [point[0] * image.width, point[1] * image.height];
+    });
+
+    if (skinner instanceof HT.HistogramSkinner) {
+        skinner.reset();
+        model = skinner.train(image, points, params && params.radius);
+    } else if (skinner instanceof HT.Skinner) {
+        model = HT.Skinner.calibrate(image, points, params);
+    } else {
+        throw new Error('This skin segmentation cannot be calibrated');
+    }
+
+    HT.Skinner.save(model, this.storageKey);
+    this.tracker.setSkinModel(model);
+    return model;
+};
+
+/**
+ * Goes back to the built-in skin model and forgets the saved one.
+ */
+SkinContourDetector.prototype.resetCalibration = function () {
+    if (this.storageKey) HT.Skinner.remove(this.storageKey);
+    this.tracker.setSkinModel(null);
+};
+
+/**
+ * Learns the background anew, e.g. after the camera moved. Only with the
+ * background tracker param.
+ */
+SkinContourDetector.prototype.resetBackground = function () {
+    if (this.tracker.background) this.tracker.background.reset();
+};
+
+SkinContourDetector.prototype.toObservation = function (candidate, width, height) {
+    var box = candidate.boundingBox(),
+        fingers = candidate.countFingers(this.options.fingers),
+        pose = this.poseClassifier.classify(candidate, fingers),
+        normalize = function (point) {
+            return [point.x / width, point.y / height];
+        };
+
+    return {
+        engine: 'skin',
+        box: [box.x / width, box.y / height, box.width / width, box.height / height],
+        centroid: normalize(candidate.centroid),
+        contour: candidate.contour.map(normalize),
+        fingers: fingers.fingertips.map(normalize),
+        pose: pose.pose,
+        confidence: pose.score
+    };
+};
+
+SkinContourDetector.prototype.dispose = function () {
+    this.tracker = null;
+};
+
+//JSHGDetector
+/**
+ * Adapter for the JSHG gestureRecognizer worker. Talks to the worker directly
+ * instead of going through JSHG.init(), which builds its own video and
+ * canvases. JSHG does not score the hands it finds, so observations carry a
+ * confidence of 1.
+ *
+ * If the worker fails, the frame in flight is dropped, onError, if set, is
+ * called with the error and the next detect() throws it.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.width]          Working width, 320 by default
+ * @param {String} [options.workerFilePath] URL of gestureRecognizer.js
+ * @param {Array}  [options.skinColors]     Learned [h, s, v] skin colors.
+ *                                          Defaults to the ones JSHG saved
+ * @param {Array}  [options.learningPoints] Points sampled by learn()
+ * @param {Object} [options.configs]        Worker configs
+ */
+var JSHGDetector = function (options) {
+    var that = this;
+
+    this.options = options || {};
+    this.width = this.options.width || 320;
+    this.sampler = null;
+    this.busy = false;
+    this.callback = null;
+    this.learnCallback = null;
+    this.error = null;
+    this.onError = null;
+
+    this.worker = new Worker(this.options.workerFilePath || JSHGDetector.WORKER_FILE_PATH);
+    this.worker.addEventListener('message', function (e) {
+        that.onResponse(e.data);
+    }, false);
+    this.worker.onerror = function (event) {
+        if (event.preventDefault) event.preventDefault();
+        that.onFailure(new Error('JSHG worker failed: ' + (event.message || 'unknown error')));
+    };
+    this.worker.onmessageerror = function () {
+        that.onFailure(new Error('JSHG worker sent a message that could not be read'));
+    };
+    this.initialized = false;
+};
+
+JSHGDetector.WORKER_FILE_PATH = (process.env.PUBLIC_URL || '') + '/jshg/gestureRecognizer.js';
+
+JSHGDetector.prototype.init = function (frame) {
+    var size = frameSize(frame),
+        height = Math.round(this.width * size.height / size.width),
+        skinColors = this.options.skinColors;
+
+    if (!skinColors && typeof localStorage !== 'undefined' && localStorage.getItem('skinColors')) {
+        skinColors = JSON.parse(localStorage.getItem('skinColors'));
+    }
+
+    this.sampler = new FrameSampler(this.width, height);
+    this.worker.postMessage({
+        "type": JSHG.WORKER_INIT_REQUEST,
+        "data": {
+            // debug mode makes the worker send the hand contour along
+            "debugMode": true,
+            "learningPoints": this.options.learningPoints || [[this.width / 2, height / 2]],
+            "skinColors": skinColors || null,
+            "configs": this.options.configs,
+            "responseScale": [1, 1],
+            "responseThreshImage": false
+        }
+    });
+    this.initialized = true;
+};
+
+JSHGDetector.prototype.detect = function (frame, callback) {
+    if (this.error) throw this.error;
+    if (!this.initialized) this.init(frame);
+    if (this.busy) return false;
+
+    this.busy = true;
+    this.callback = callback;
+    this.worker.postMessage({ "type": JSHG.WORKER_DETECT_REQUEST, "data": this.sampler.read(frame) });
+    return true;
+};
+
+/**
+ * Learns the skin colors at the learning points of a frame, the way JSHG's
+ * learning countdown does.
+ *
+ * @param {Object}   frame    Frame with the hand over the learning points
+ * @param {Function} callback Called with the learned skin colors
+ */
+JSHGDetector.prototype.learn = function (frame, callback) {
+    if (!this.initialized) this.init(frame);
+
+    this.learnCallback = callback;
+    this.worker.postMessage({ "type": JSHG.WORKER_LEARN_REQUEST, "data": this.sampler.read(frame) });
+};
+
+JSHGDetector.prototype.onResponse = function (response) {
+    var callback;
+
+    if (response.type === JSHG.WORKER_LEARN_REQUEST) {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('skinColors', JSON.stringify(response.data));
+        }
+        callback = this.learnCallback;
+        this.learnCallback = null;
+        if (callback) callback(response.data);
+
+    } else if (response.type === JSHG.WORKER_DETECT_REQUEST) {
+        callback = this.callback;
+        this.busy = false;
+        this.callback = null;
+        if (callback) callback(this.toObservations(response.data));
+    }
+};
+
+JSHGDetector.prototype.onFailure = function (error) {
+    this.error = error;
+    this.busy = false;
+    this.callback = null;
+    this.learnCallback = null;
+    if (this.onError) this.onError(error);
+};
+
+JSHGDetector.prototype.toObservations = function (handInfo) {
+    var width = this.sampler.width,
+        height = this.sampler.height,
+        normalize = function (point) {
+            return [point[0] / width, point[1] / height];
+        },
+        contour, fingers;
+
+    if (!handInfo.handPos) return [];
+
+    contour = handInfo.debugInfo ? handInfo.debugInfo.contour.contour.map(normalize) : null;
+    fingers = (handInfo.fingers || []).map(normalize);
+
+    return [{
+        engine: 'jshg',
+        box: contour ? boxOfPoints(contour) : normalize(handInfo.handPos).concat([0, 0]),
+        centroid: normalize(handInfo.handPos),
+        contour: contour,
+        fingers: fingers,
+        pose: poseFromFingers(fingers.length),
+        confidence: 1
+    }];
+};
+
+JSHGDetector.prototype.dispose = function () {
+    this.worker.terminate();
+    this.worker = null;
+    this.callback = null;
+    this.learnCallback = null;
+};
+
+//Registry
+var HandDetectors = {
+    engines: {
+        haar: HaarDetector,
+        skin: SkinContourDetector,
+        jshg: JSHGDetector
+    },
+
+    /**
+     * Creates the detector of an engine.
+     *
+     * @param {String} engine    'haar', 'skin' or 'jshg'
+     * @param {Object} [options] Options of the engine's adapter
+     *
+     * @return {Object} Detector
+     */
+    create: function (engine, options) {
+        var Detector = HandDetectors.engines[engine];
+        if (!Detector) {
+            throw new Error('Unknown hand detection engine ' + engine);
+        }
+        return new Detector(options);
+    },
+
+    /**
+     * Flips observations horizontally, to match a mirrored view of the frame.
+     *
+     * @param {Array} observations Observations of a detector
+     *
+     * @return {Array} Mirrored copies of the observations
+     */
+    mirror: function (observations) {
+        var mirrorPoint = function (point) {
+            return [1 - point[0], point[1]];
+        };
+
+        return observations.map(function (observation) {
+            var box = observation.box;
+            return Object.assign({}, observation, {
+                box: [1 - box[0] - box[2], box[1], box[2], box[3]],
+                centroid: observation.centroid && mirrorPoint(observation.centroid),
+                contour: observation.contour && observation.contour.map(mirrorPoint),
+                fingers: observation.fingers.map(mirrorPoint)
+            });
+        });
+    },
+
+    /**
+     * Runs several detectors on the same frame.
+     *
+     * @param {Object}   detectors Detectors by name
+     * @param {Object}   frame     Frame for all of them
+     * @param {Function} callback  Called with the observations by name once
+     *                             every detector has reported. Detectors that
+     *                             dropped the frame report null
+     */
+    compare: function (detectors, frame, callback) {
+        var names = Object.keys(detectors),
+            results = {},
+            pending = names.length;
+
+        names.forEach(function (name) {
+            var posted = detectors[name].detect(frame, function (observations) {
+                results[name] = observations;
+                if (--pending === 0) callback(results);
+            });
+            if (!posted) {
+                results[name] = null;
+                if (--pending === 0) callback(results);
+            }
+        });
+    }
+};
+
+export {
+    HandDetectors,
+    HaarDetector,
+    SkinContourDetector,
+    JSHGDetector,
+    FrameSampler,
+    resizeImageData
+};
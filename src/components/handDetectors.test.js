@@ -0,0 +1,368 @@
+import { HandDetectors, HaarDetector, SkinContourDetector, JSHGDetector } from './handDetectors.js';
+import { ClassifierRegistry } from './classifierRegistry.js';
+import { JSHG } from './handDetection3.js';
+
+// A two stage cascade with a 20 x 24 window
+const CLASSIFIER = [
+    20, 24,
+    -1.25, 2,
+        0, 2, 2, 7, 16, 4, -1, 2, 9, 16, 2, 2, 0.25, -0.75, 0.5,
+        1, 2, 4, 2, 6, 6, -1, 7, 2, 3, 6, 2, -0.125, 0.5, -1.5,
+    0.5, 1,
+        0, 2, 0, 0, 20, 12, -1, 0, 6, 20, 6, 2, 0.5, 1, -1
+];
+
+// An RGBA frame of the background colour, with a box of the skin colour
+const frame = (width, height, box) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; ++y) {
+        for (let x = 0; x < width; ++x) {
+            const skin = box && x >= box[0] && x < box[0] + box[2] && y >= box[1] && y < box[1] + box[3];
+            data.set(skin ? [210, 150, 120, 255] : [30, 90, 40, 255], (y * width + x) * 4);
+        }
+    }
+    return { width: width, height: height, data: data };
+};
+
+const observation = (box) => ({
+    engine: 'test',
+    box: box,
+    centroid: [box[0] + box[2] / 2, box[1] + box[3] / 2],
+    contour: null,
+    fingers: [[box[0], box[1]]],
+    pose: 'open',
+    confidence: 1
+});
+
+// Reports the given observations right away, or drops every frame
+const fakeDetector = (observations) => ({
+    detect: (frame, callback) => {
+        if (!observations) return false;
+        callback(observations);
+        return true;
+    }
+});
+
+// Stands in for the JSHG worker: records what is posted to it, and lets a
+// test answer or fail.
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.posted = [];
+        this.listeners = [];
+        FakeWorker.last = this;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+
+    reply(data) {
+        this.listeners.forEach((listener) => listener({ data: data }));
+    }
+
+    terminate() {}
+}
+
+describe('HandDetectors.create', () => {
+    it('creates the detector of an engine', () => {
+        expect(HandDetectors.create('skin')).toBeInstanceOf(SkinContourDetector);
+        expect(HandDetectors.create('haar', { useWorker: false })).toBeInstanceOf(HaarDetector);
+    });
+
+    it('rejects unknown engines', () => {
+        expect(() => HandDetectors.create('leap')).toThrow(/Unknown hand detection engine leap/);
+    });
+});
+
+describe('HandDetectors.mirror', () => {
+    it('flips boxes and points horizontally', () => {
+        const original = observation([0.1, 0.2, 0.3, 0.4]);
+        const mirrored = HandDetectors.mirror([original])[0];
+
+        expect(mirrored.box[0]).toBeCloseTo(0.6);
+        expect(mirrored.box.slice(1)).toEqual([0.2, 0.3, 0.4]);
+        expect(mirrored.centroid[0]).toBeCloseTo(0.75);
+        expect(mirrored.fingers[0][0]).toBeCloseTo(0.9);
+        expect(mirrored.contour).toBe(null);
+        expect(mirrored.pose).toBe('open');
+        expect(original.box).toEqual([0.1, 0.2, 0.3, 0.4]);
+    });
+});
+
+describe('HandDetectors.compare', () => {
+    it('reports the observations of every detector by name', () => {
+        const callback = jest.fn();
+        const found = [observation([0.1, 0.1, 0.2, 0.2])];
+
+        HandDetectors.compare({ a: fakeDetector(found), b: fakeDetector([]) }, {}, callback);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith({ a: found, b: [] });
+    });
+
+    it('reports null for a detector that dropped the frame', () => {
+        const callback = jest.fn();
+
+        HandDetectors.compare({ a: fakeDetector([]), b: fakeDetector(null) }, {}, callback);
+        expect(callback).toHaveBeenCalledWith({ a: [], b: null });
+    });
+});
+
+describe('HaarDetector', () => {
+    beforeEach(() => {
+        ClassifierRegistry.register('test-open', Object.assign(new Float32Array(CLASSIFIER), { tilted: true }));
+    });
+
+    afterEach(() => {
+        delete ClassifierRegistry.classifiers['test-open'];
+    });
+
+    const createDetector = (options) => new HaarDetector(Object.assign({
+        poses: ['open'],
+        classifiers: { open: 'test-open' },
+        height: 48,
+        useWorker: false
+    }, options));
+
+    it('needs a cascade for each pose', () => {
+        expect(() => createDetector({ poses: ['open', 'peace'] })).toThrow(/No Haar cascade for the pose peace/);
+    });
+
+    it('drops frames until its cascades are loaded', () => {
+        const detector = createDetector();
+        const callback = jest.fn();
+
+        expect(detector.detect(frame(64, 48), callback)).toBe(false);
+        return new Promise((resolve) => setTimeout(resolve)).then(() => {
+            expect(detector.detect(frame(64, 48), callback)).toBe(true);
+            expect(callback).toHaveBeenCalledWith(expect.any(Array));
+            expect(detector.sampler.width).toBe(64);
+            expect(detector.getStats().fullScans).toBe(1);
+        });
+    });
+
+    it('throws a failure to load its cascades', () => {
+        const detector = createDetector();
+
+        detector.error = new Error('Could not load classifier test-open');
+        expect(() => detector.detect(frame(64, 48), () => {})).toThrow(/Could not load/);
+    });
+
+    it('turns the rectangles into observations of the working size', () => {
+        const detector = createDetector({ minNeighbors: 3 });
+
+        detector.sampler = { width: 64, height: 48 };
+        expect(detector.toObservations([[16, 12, 32, 24, 3]], 'open')).toEqual([{
+            engine: 'haar',
+            box: [0.25, 0.25, 0.5, 0.5],
+            centroid: [0.5, 0.5],
+            contour: null,
+            fingers: [],
+            neighbors: 3,
+            pose: 'open',
+            confidence: 0.5
+        }]);
+    });
+});
+
+describe('HaarDetector regions of interest', () => {
+    const hand = (box) => Object.assign(observation(box), { engine: 'haar' });
+    let detector;
+
+    // 100 x 80 working frames, a cascade with a 20 x 24 window
+    beforeEach(() => {
+        detector = new HaarDetector({ poses: ['open'], useWorker: false, roi: { padding: 0.5, fullScanInterval: 3 } });
+        detector.classifiers = { open: new Float32Array(CLASSIFIER) };
+        detector.sampler = { width: 100, height: 80 };
+    });
+
+    it('scans the full frame until a hand is seen', () => {
+        expect(detector.nextRoi()).toBe(null);
+    });
+
+    it('pads the last hands', () => {
+        detector.onScanned(null, [hand([0.25, 0.25, 0.25, 0.375]), hand([0.375, 0.25, 0.25, 0.375])], 20);
+
+        // 37.5 x 30 px of hands, padded by half of that on each side:
+        expect(detector.nextRoi()).toEqual([6.25, 5, 75, 60]);
+    });
+
+    it('keeps at least twice the cascade window', () => {
+        detector.onScanned(null, [hand([0.4, 0.4, 0.1, 0.1])], 20);
+
+        expect(detector.nextRoi()).toEqual([25, 12, 40, 48]);
+    });
+
+    it('shifts the region inwards at the borders', () => {
+        detector.onScanned(null, [hand([0.9, 0, 0.1, 0.1])], 20);
+        expect(detector.nextRoi()).toEqual([60, 0, 40, 48]);
+
+        detector.onScanned(null, [hand([0, 0, 1, 1])], 20);
+        expect(detector.nextRoi()).toEqual([0, 0, 100, 80]);
+    });
+
+    it('scans the full frame after a miss', () => {
+        detector.onScanned(null, [hand([0.4, 0.4, 0.2, 0.2])], 20);
+        const roi = detector.nextRoi();
+
+        detector.onScanned(roi, [], 5);
+        expect(detector.nextRoi()).toBe(null);
+    });
+
+    it('scans the full frame every fullScanInterval frames', () => {
+        const rois = [];
+
+        detector.onScanned(null, [hand([0.4, 0.4, 0.2, 0.2])], 20);
+        for (let i = 0; i < 5; ++i) {
+            const roi = detector.nextRoi();
+
+            rois.push(roi);
+            detector.onScanned(roi, [hand([0.4, 0.4, 0.2, 0.2])], roi ? 5 : 20);
+        }
+        expect(rois.map((roi) => !!roi)).toEqual([true, true, true, false, true]);
+    });
+
+    it('scans the full frame without the roi option', () => {
+        detector = new HaarDetector({ poses: ['open'], useWorker: false, roi: false });
+        detector.classifiers = { open: new Float32Array(CLASSIFIER) };
+        detector.sampler = { width: 100, height: 80 };
+
+        detector.onScanned(null, [hand([0.4, 0.4, 0.2, 0.2])], 20);
+        expect(detector.nextRoi()).toBe(null);
+    });
+
+    it('passes the region to the cascades', () => {
+        const detectPixels = jest.fn(() => ({ open: [[40, 32, 20, 16, 3]] }));
+
+        detector.sampler = null;
+        detector.init(frame(100, 80));
+        detector.detector = { busy: false, detectPixels: detectPixels };
+        detector.detect(frame(100, 80), () => {});
+        detector.detect(frame(100, 80), () => {});
+
+        expect(detectPixels.mock.calls[0][3]).toBe(null);
+        expect(detectPixels.mock.calls[1][3].map(Math.round)).toEqual([30, 16, 40, 48]);
+    });
+
+    it('reports the time saved by scanning regions', () => {
+        expect(detector.getStats().timeSaved).toBe(0);
+
+        detector.onScanned(null, [hand([0.4, 0.4, 0.2, 0.2])], 30);
+        detector.onScanned([0, 0, 40, 48], [hand([0.4, 0.4, 0.2, 0.2])], 10);
+        detector.onScanned([0, 0, 40, 48], [hand([0.4, 0.4, 0.2, 0.2])], 10);
+        detector.onScanned(null, [hand([0.4, 0.4, 0.2, 0.2])], 50);
+        detector.onScanned([0, 0, 40, 48], [], 10);
+
+        expect(detector.getStats()).toEqual({
+            fullScans: 2,
+            roiScans: 3,
+            averageFullScanTime: 40,
+            averageRoiScanTime: 10,
+            timeSaved: 90
+        });
+    });
+});
+
+describe('SkinContourDetector', () => {
+    it('finds the skin coloured hand of a frame', () => {
+        const detector = new SkinContourDetector({ width: 80, skinModel: null });
+        const callback = jest.fn();
+
+        expect(detector.detect(frame(160, 120, [40, 30, 60, 60]), callback)).toBe(true);
+
+        const observations = callback.mock.calls[0][0];
+        expect(observations.length).toBe(1);
+        expect(observations[0].engine).toBe('skin');
+        expect(observations[0].box[0]).toBeCloseTo(0.25, 1);
+        expect(observations[0].box[1]).toBeCloseTo(0.25, 1);
+        expect(observations[0].box[2]).toBeCloseTo(0.375, 1);
+        expect(observations[0].centroid[0]).toBeCloseTo(0.44, 1);
+    });
+
+    it('finds nothing in a frame without skin', () => {
+        const detector = new SkinContourDetector({ width: 80 });
+        const callback = jest.fn();
+
+        detector.detect(frame(160, 120), callback);
+        expect(callback).toHaveBeenCalledWith([]);
+    });
+});
+
+describe('JSHGDetector', () => {
+    let worker, detector, errors;
+
+    beforeEach(() => {
+        global.Worker = FakeWorker;
+        errors = [];
+        detector = new JSHGDetector({ width: 40, skinColors: [[0, 0, 0]] });
+        detector.onError = (error) => errors.push(error);
+        worker = FakeWorker.last;
+    });
+
+    afterEach(() => {
+        delete global.Worker;
+    });
+
+    it('drops frames while the worker is busy', () => {
+        const callback = jest.fn();
+
+        expect(detector.detect(frame(80, 60), callback)).toBe(true);
+        expect(worker.posted.map((message) => message.type)).toEqual([JSHG.WORKER_INIT_REQUEST, JSHG.WORKER_DETECT_REQUEST]);
+        expect(worker.posted[1].data.width).toBe(40);
+        expect(detector.detect(frame(80, 60), callback)).toBe(false);
+
+        worker.reply({ type: JSHG.WORKER_DETECT_REQUEST, data: {} });
+        expect(callback).toHaveBeenCalledWith([]);
+        expect(detector.busy).toBe(false);
+    });
+
+    it('turns the hand of the worker into an observation', () => {
+        const callback = jest.fn();
+
+        detector.detect(frame(80, 60), callback);
+        worker.reply({
+            type: JSHG.WORKER_DETECT_REQUEST,
+            data: {
+                handPos: [20, 15],
+                fingers: [[10, 5], [16, 3], [22, 3], [28, 5]],
+                debugInfo: { contour: { contour: [[10, 3], [30, 3], [30, 30], [10, 30]] } }
+            }
+        });
+
+        const found = callback.mock.calls[0][0][0];
+        expect(found.engine).toBe('jshg');
+        expect(found.box).toEqual([0.25, 0.1, 0.5, 0.9]);
+        expect(found.centroid).toEqual([0.5, 0.5]);
+        expect(found.fingers.length).toBe(4);
+        expect(found.pose).toBe('open');
+        expect(found.confidence).toBe(1);
+    });
+
+    it('reports an uncaught worker error and throws it on the next frame', () => {
+        const event = { message: 'script error', preventDefault: jest.fn() };
+        const callback = jest.fn();
+
+        detector.detect(frame(80, 60), callback);
+        worker.onerror(event);
+
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(errors.length).toBe(1);
+        expect(errors[0].message).toMatch(/script error/);
+        expect(detector.busy).toBe(false);
+        expect(() => detector.detect(frame(80, 60), callback)).toThrow(/script error/);
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('reports messages that cannot be read', () => {
+        detector.detect(frame(80, 60), () => {});
+        worker.onmessageerror({});
+
+        expect(errors.length).toBe(1);
+        expect(detector.busy).toBe(false);
+    });
+});
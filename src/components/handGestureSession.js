@@ -0,0 +1,550 @@
+import { compatibility } from './handDetection2.js';
+import { GestureSequence } from './gestureSequence.js';
+import { HandDetectors } from './handDetectors.js';
+import { HandTrajectory } from './handTrajectory.js';
+import { SwipeRecognizer } from './swipeRecognizer.js';
+import { HandTracker } from './handTracker.js';
+import { DebugView } from './debugView.js';
+
+//HandGestureSession.js
+/**
+ * Runs a gesture challenge on a live camera feed. Owns the MediaStream and
+ * the requestAnimationFrame loop, so a session can be torn down completely
+ * when the page using it goes away.
+ *
+ * @param {Object}   config
+ * @param {Element}  config.video           Video element receiving the stream
+ * @param {Element}  config.canvas          Canvas the feed is drawn on
+ * @param {Boolean}  [config.mirror]        Show the feed mirrored, like a
+ *                                          selfie camera. Observations, tracks,
+ *                                          trajectories and swipes are then in
+ *                                          the mirrored coordinates, so a hand
+ *                                          moving to the user's left swipes
+ *                                          left on screen too
+ * @param {Array}    [config.sequence]      Challenge steps, see GestureSequence.
+ *                                          Defaults to open hand, then fist.
+ *                                          false runs without a challenge, to
+ *                                          only report observations and tracks
+ * @param {Array}    [config.poses]         Poses to look for and draw without
+ *                                          a challenge
+ * @param {String}   [config.engine]        Hand detection engine, 'haar',
+ *                                          'skin' or 'jshg'. Defaults to 'haar'
+ * @param {Object}   [config.engineOptions] Options of the engine's detector,
+ *                                          see handDetectors.js
+ * @param {Object}   [config.trajectory]    Smoothing and buffer options of the
+ *                                          hand trajectories, see HandTrajectory
+ * @param {Object}   [config.tracker]       Matching and grace period options
+ *                                          of the hand tracker, see HandTracker
+ * @param {Object}   [config.swipe]         Thresholds of the swipe recognizer,
+ *                                          see SwipeRecognizer
+ * @param {Element}  [config.debugCanvas]   Canvas the intermediate images of
+ *                                          the detector are drawn on, for
+ *                                          engines that keep them
+ * @param {Function} [config.onStateChange] Called with (state, previousState)
+ * @param {Function} [config.onProgress]    Called with the GestureSequence
+ *                                          progress object
+ * @param {Function} [config.onObservations] Called with the observations of
+ *                                          every processed frame
+ * @param {Function} [config.onTracks]      Called with every tracked hand of
+ *                                          each processed frame
+ * @param {Function} [config.onGesture]     Called with (gesture, observation)
+ *                                          once a step of the challenge is
+ *                                          completed
+ * @param {Function} [config.onSwipe]       Called with a swipe event whenever
+ *                                          an open hand or a fist is swiped.
+ *                                          Both poses are tracked while set
+ * @param {Function} [config.onComplete]    Called with the challenge results
+ *                                          once the challenge is done
+ * @param {Function} [config.onError]       Called when the camera or the detector
+ *                                          fails
+ */
+var HandGestureSession = function (config) {
+    this.config = config || {};
+    this.video = this.config.video;
+    this.canvas = this.config.canvas;
+    this.context = this.canvas.getContext('2d');
+
+    var that = this;
+
+    this.state = HandGestureSession.IDLE;
+    this.stream = null;
+    this.frameId = 0;
+    this.requestId = 0;
+    this.detectionId = 0;
+    this.detector = null;
+    this.engine = this.config.engine || 'haar';
+    this.tracker = new HandTracker(this.config.tracker);
+    this.swipes = null;
+    if (this.config.onSwipe) {
+        this.swipes = new SwipeRecognizer(this.config.swipe);
+        this.swipes.onSwipe = function (swipe) {
+            that.config.onSwipe(swipe);
+        };
+    }
+
+    this.sequence = null;
+    if (this.config.sequence !== false) {
+        this.sequence = new GestureSequence(this.config.sequence || GestureSequence.CHALLENGES.openFist, {
+            onProgress: function (progress) {
+                if (that.config.onProgress) {
+                    that.config.onProgress(progress);
+                }
+            },
+            onStep: function (step, index, observation) {
+                that.positions = {};
+                that.emitGesture(step.gesture, observation);
+            },
+            onComplete: function () {
+                if (that.config.onComplete) {
+                    that.config.onComplete(that.getOutput());
+                }
+            }
+        });
+    }
+
+    this.reset();
+};
+
+HandGestureSession.IDLE = 'idle';
+HandGestureSession.STARTING = 'starting';
+HandGestureSession.RUNNING = 'running';
+HandGestureSession.PAUSED = 'paused';
+HandGestureSession.STOPPED = 'stopped';
+HandGestureSession.DISPOSED = 'disposed';
+HandGestureSession.ERROR = 'error';
+
+/**
+ * Poses whose movement is checked for swipes.
+ */
+HandGestureSession.SWIPE_GESTURES = ['open', 'fist'];
+
+HandGestureSession.COLORS = {
+    open: 'red',
+    fist: 'blue',
+    other: 'green'
+};
+
+/**
+ * Clears the challenge progress without touching the camera.
+ */
+HandGestureSession.prototype.reset = function () {
+    if (this.sequence) this.sequence.reset();
+    this.positions = {};
+    this.trajectories = {};
+    this.tracker.reset();
+    if (this.swipes) this.swipes.reset();
+    this.results = [];
+    this.startTime = 0;
+    this.stepStartTime = 0;
+    this.pauseTime = 0;
+    this.framesProcessed = 0;
+    this.stepFramesProcessed = 0;
+};
+
+/**
+ * Results of the challenge so far, in the shape of the Output flow type.
+ *
+ * @return {Object} Per-gesture results, total time and frames processed
+ */
+HandGestureSession.prototype.getOutput = function () {
+    return {
+        gestures: this.results.slice(0),
+        totalTime: this.stepStartTime - this.startTime,
+        framesProcessed: this.framesProcessed
+    };
+};
+
+/**
+ * Requests the camera and starts the detection loop. Does nothing while the
+ * session is already starting, running or paused.
+ */
+HandGestureSession.prototype.start = function () {
+    var that = this,
+        requestId;
+
+    if (this.state === HandGestureSession.STARTING ||
+        this.state === HandGestureSession.RUNNING ||
+        this.state === HandGestureSession.PAUSED ||
+        this.state === HandGestureSession.DISPOSED) {
+        return;
+    }
+
+    this.reset();
+    this.setState(HandGestureSession.STARTING);
+    requestId = ++this.requestId;
+
+    try {
+        compatibility.getUserMedia({ video: true }, function (stream) {
+            // stop() or dispose() was called while the permission prompt was open:
+            if (requestId !== that.requestId) {
+                HandGestureSession.releaseStream(stream);
+                return;
+            }
+            that.attachStream(stream);
+            that.startTime = that.stepStartTime = Date.now();
+            that.setState(HandGestureSession.RUNNING);
+            that.loop();
+        }, function (error) {
+            if (requestId === that.requestId) {
+                that.fail(error || new Error('WebRTC not available'));
+            }
+        });
+    } catch (error) {
+        this.fail(error);
+    }
+};
+
+/**
+ * Stops the detection loop but keeps the camera open.
+ */
+HandGestureSession.prototype.pause = function () {
+    if (this.state !== HandGestureSession.RUNNING) return;
+
+    this.cancelLoop();
+    // Results of detections still running are dropped:
+    ++this.detectionId;
+    this.video.pause();
+    this.pauseTime = Date.now();
+    this.setState(HandGestureSession.PAUSED);
+};
+
+/**
+ * Continues a paused session where it left off.
+ */
+HandGestureSession.prototype.resume = function () {
+    if (this.state !== HandGestureSession.PAUSED) return;
+
+    // Time spent paused does not count towards the detection times:
+    var pausedFor = Date.now() - this.pauseTime;
+    this.startTime += pausedFor;
+    this.stepStartTime += pausedFor;
+
+    this.setState(HandGestureSession.RUNNING);
+    this.loop();
+};
+
+/**
+ * Stops the detection loop and releases the camera. The session can be
+ * started again afterwards.
+ */
+HandGestureSession.prototype.stop = function () {
+    if (this.state === HandGestureSession.IDLE ||
+        this.state === HandGestureSession.STOPPED ||
+        this.state === HandGestureSession.DISPOSED) {
+        return;
+    }
+
+    // Invalidates a pending getUserMedia() request:
+    ++this.requestId;
+    this.cancelLoop();
+    this.detachStream();
+    this.releaseDetector();
+    this.setState(HandGestureSession.STOPPED);
+};
+
+/**
+ * Stops the session for good and drops all references to the DOM and the
+ * callbacks. Any further call on the session is ignored.
+ */
+HandGestureSession.prototype.dispose = function () {
+    if (this.state === HandGestureSession.DISPOSED) return;
+
+    this.stop();
+    this.setState(HandGestureSession.DISPOSED);
+
+    this.config = {};
+    this.video = null;
+    this.canvas = null;
+    this.context = null;
+    this.detector = null;
+};
+
+HandGestureSession.prototype.setState = function (state) {
+    var previousState = this.state;
+    if (state === previousState) return;
+
+    this.state = state;
+    if (this.config.onStateChange) {
+        this.config.onStateChange(state, previousState);
+    }
+};
+
+HandGestureSession.prototype.fail = function (error) {
+    this.cancelLoop();
+    this.detachStream();
+    this.releaseDetector();
+    this.setState(HandGestureSession.ERROR);
+    if (this.config.onError) {
+        this.config.onError(error);
+    }
+};
+
+HandGestureSession.prototype.attachStream = function (stream) {
+    this.stream = stream;
+    if ('srcObject' in this.video) {
+        this.video.srcObject = stream;
+    } else {
+        try {
+            this.video.src = compatibility.URL.createObjectURL(stream);
+        } catch (error) {
+            this.video.src = stream;
+        }
+    }
+};
+
+HandGestureSession.prototype.detachStream = function () {
+    if (!this.stream) return;
+
+    this.video.pause();
+    if ('srcObject' in this.video) {
+        this.video.srcObject = null;
+    } else {
+        if (this.video.src && compatibility.URL.revokeObjectURL) {
+            compatibility.URL.revokeObjectURL(this.video.src);
+        }
+        this.video.removeAttribute('src');
+    }
+    HandGestureSession.releaseStream(this.stream);
+    this.stream = null;
+};
+
+HandGestureSession.releaseStream = function (stream) {
+    if (stream.getTracks) {
+        stream.getTracks().forEach(function (track) {
+            track.stop();
+        });
+    } else if (stream.stop) {
+        stream.stop();
+    }
+};
+
+HandGestureSession.prototype.loop = function () {
+    var that = this;
+
+    this.frameId = compatibility.requestAnimationFrame(function () {
+        that.loop();
+    });
+    this.tick();
+};
+
+HandGestureSession.prototype.cancelLoop = function () {
+    if (this.frameId) {
+        compatibility.cancelAnimationFrame(this.frameId);
+        this.frameId = 0;
+    }
+};
+
+HandGestureSession.prototype.tick = function () {
+    var video = this.video,
+        canvas = this.canvas;
+
+    try {
+        if (video.paused) video.play();
+    }
+    catch (e) {
+    }
+    // The video is drawn every frame, detection results come in when ready:
+    if (this.config.mirror) {
+        this.context.save();
+        this.context.translate(canvas.clientWidth, 0);
+        this.context.scale(-1, 1);
+        this.context.drawImage(video, 0, 0, canvas.clientWidth, canvas.clientHeight);
+        this.context.restore();
+    } else {
+        this.context.drawImage(video, 0, 0, canvas.clientWidth, canvas.clientHeight);
+    }
+
+    if (video.readyState !== video.HAVE_ENOUGH_DATA || video.videoWidth <= 0) return;
+
+    // The detector reads the video size on its first frame:
+    if (!this.detector) {
+        this.detector = HandDetectors.create(this.engine, this.config.debugCanvas ?
+            Object.assign({ debug: true }, this.config.engineOptions) : this.config.engineOptions);
+    }
+
+    var gestures = this.activeGestures();
+    this.detect(this.trackedGestures());
+    // A synchronous detector runs the callbacks right away, and one of them
+    // may have stopped or disposed the session, e.g. to leave the page:
+    if (this.state !== HandGestureSession.RUNNING) return;
+
+    if (this.config.debugCanvas && this.detector.getDebugImages) {
+        DebugView.draw(this.config.debugCanvas, this.detector.getDebugImages());
+    }
+    for (var i = 0; i < gestures.length; ++i) {
+        if (this.positions[gestures[i]]) {
+            // The smoothed box keeps the overlay from jittering:
+            this.drawRect(this.getTrajectory(gestures[i]).box(),
+                HandGestureSession.COLORS[gestures[i]] || HandGestureSession.COLORS.other);
+        }
+    }
+};
+
+/**
+ * Performance numbers of the detector, like the time the Haar engine saved by
+ * searching around the last hands.
+ *
+ * @return {Object} Stats of the engine, null if it keeps none
+ */
+HandGestureSession.prototype.getDetectorStats = function () {
+    return this.detector && this.detector.getStats ? this.detector.getStats() : null;
+};
+
+HandGestureSession.prototype.releaseDetector = function () {
+    ++this.detectionId;
+    if (this.detector) {
+        this.detector.dispose();
+        this.detector = null;
+    }
+};
+
+/**
+ * Runs the detector on the current video frame. Worker based engines report
+ * back later, or drop the frame if still busy.
+ *
+ * @param {Array} gestures Poses to look for
+ */
+HandGestureSession.prototype.detect = function (gestures) {
+    var that = this,
+        detectionId = this.detectionId;
+
+    try {
+        this.detector.detect(this.video, function (observations) {
+            // Late results from before a pause or stop:
+            if (detectionId === that.detectionId) {
+                that.onObservations(observations);
+            }
+        }, { poses: gestures, now: Date.now() });
+    } catch (error) {
+        // E.g. the cascades of the haar engine could not be loaded:
+        this.fail(error);
+    }
+};
+
+HandGestureSession.prototype.onObservations = function (observations) {
+    if (this.state !== HandGestureSession.RUNNING) return;
+
+    ++this.framesProcessed;
+    ++this.stepFramesProcessed;
+
+    // The detectors see the camera image, the user sees it mirrored:
+    if (this.config.mirror) {
+        observations = HandDetectors.mirror(observations);
+    }
+
+    if (this.config.onObservations) {
+        this.config.onObservations(observations);
+    }
+
+    var gestures = this.trackedGestures(),
+        now = Date.now(),
+        tracks = this.tracker.update(observations, now);
+
+    if (this.config.onTracks) {
+        this.config.onTracks(tracks);
+    }
+
+    for (var i = 0; i < gestures.length; ++i) {
+        var observation = HandGestureSession.bestObservation(observations, gestures[i]);
+        if (observation) {
+            this.getTrajectory(gestures[i]).update(observation.box, now, observation.centroid);
+            if (this.swipes) {
+                this.swipes.update(gestures[i], this.getTrajectory(gestures[i]));
+            }
+        }
+        this.positions[gestures[i]] = observation;
+    }
+    if (this.sequence) this.sequence.update(this.positions, now);
+};
+
+/**
+ * Poses the challenge is waiting for, or the poses config without a challenge.
+ */
+HandGestureSession.prototype.activeGestures = function () {
+    return this.sequence ? this.sequence.activeGestures() : (this.config.poses || []);
+};
+
+/**
+ * Active poses, plus the swipe poses if swipes are listened to.
+ */
+HandGestureSession.prototype.trackedGestures = function () {
+    var gestures = this.activeGestures();
+
+    if (!this.swipes) return gestures;
+    return gestures.concat(HandGestureSession.SWIPE_GESTURES.filter(function (gesture) {
+        return gestures.indexOf(gesture) === -1;
+    }));
+};
+
+/**
+ * Smoothed path of the hand showing a gesture, in normalized coordinates.
+ *
+ * @param {String} gesture 'open' or 'fist'
+ *
+ * @return {HandTrajectory} Trajectory, created on first use
+ */
+HandGestureSession.prototype.getTrajectory = function (gesture) {
+    if (!this.trajectories[gesture]) {
+        this.trajectories[gesture] = new HandTrajectory(this.config.trajectory);
+    }
+    return this.trajectories[gesture];
+};
+
+/**
+ * Most confident observation of a pose.
+ *
+ * @return {Object} Observation, null if the pose was not seen
+ */
+HandGestureSession.bestObservation = function (observations, pose) {
+    var best = null;
+
+    for (var i = 0; i < observations.length; ++i) {
+        if (observations[i].pose === pose && (!best || observations[i].confidence > best.confidence)) {
+            best = observations[i];
+        }
+    }
+    return best;
+};
+
+HandGestureSession.prototype.emitGesture = function (gesture, observation) {
+    var now = Date.now(),
+        box = observation.box,
+        // Results are in the coordinates of the camera image, mirrored or not:
+        x = this.config.mirror ? 1 - box[0] - box[2] : box[0],
+        width = this.video.videoWidth,
+        height = this.video.videoHeight;
+
+    this.results.push({
+        gesture: gesture,
+        time: now - this.stepStartTime,
+        confidence: observation.confidence,
+        neighbors: observation.neighbors,
+        // Observations are normalized, results are in video coordinates:
+        box: [x * width, box[1] * height, box[2] * width, box[3] * height],
+        framesProcessed: this.stepFramesProcessed
+    });
+    this.stepStartTime = now;
+    this.stepFramesProcessed = 0;
+
+    if (this.config.onGesture) {
+        this.config.onGesture(gesture, observation);
+    }
+};
+
+HandGestureSession.prototype.drawRect = function (box, color) {
+    var canvas = this.canvas,
+        context = this.context;
+
+    // Draw coordinates on video overlay:
+    context.beginPath();
+    context.lineWidth = '10';
+    context.fillStyle = color;
+    context.fillRect(
+        box[0] * canvas.clientWidth,
+        box[1] * canvas.clientHeight,
+        box[2] * canvas.clientWidth,
+        box[3] * canvas.clientHeight);
+    context.stroke();
+};
+
+export { HandGestureSession };
@@ -0,0 +1,268 @@
+import { compatibility } from './handDetection2.js';
+import { HandGestureSession } from './handGestureSession.js';
+
+// Camera and animation frames are answered by the test: the permission prompt
+// stays open until grant() or deny() is called, and frames never run.
+const original = {
+    getUserMedia: compatibility.getUserMedia,
+    requestAnimationFrame: compatibility.requestAnimationFrame,
+    cancelAnimationFrame: compatibility.cancelAnimationFrame
+};
+let prompts;
+
+const fakeStream = () => {
+    const track = { stop: jest.fn() };
+
+    return { track: track, getTracks: () => [track] };
+};
+
+const fakeVideo = () => ({
+    srcObject: null,
+    paused: true,
+    readyState: 0,
+    HAVE_ENOUGH_DATA: 4,
+    play: jest.fn(),
+    pause: jest.fn()
+});
+
+const fakeCanvas = () => ({
+    clientWidth: 320,
+    clientHeight: 240,
+    getContext: () => ({ drawImage: jest.fn() })
+});
+
+const createSession = (config) => {
+    const states = [];
+    const session = new HandGestureSession(Object.assign({
+        video: fakeVideo(),
+        canvas: fakeCanvas(),
+        onStateChange: (state) => states.push(state)
+    }, config));
+
+    return { session: session, states: states };
+};
+
+const grant = (stream) => prompts.shift().success(stream || fakeStream());
+const deny = (error) => prompts.shift().error(error);
+
+beforeEach(() => {
+    prompts = [];
+    compatibility.getUserMedia = (options, success, error) => prompts.push({ success: success, error: error });
+    compatibility.requestAnimationFrame = jest.fn(() => 1);
+    compatibility.cancelAnimationFrame = jest.fn();
+});
+
+afterEach(() => {
+    Object.assign(compatibility, original);
+});
+
+describe('HandGestureSession lifecycle', () => {
+    it('starts once the camera is granted', () => {
+        const { session, states } = createSession();
+        const stream = fakeStream();
+
+        expect(session.state).toBe(HandGestureSession.IDLE);
+        session.start();
+        expect(session.state).toBe(HandGestureSession.STARTING);
+        grant(stream);
+
+        expect(states).toEqual([HandGestureSession.STARTING, HandGestureSession.RUNNING]);
+        expect(session.video.srcObject).toBe(stream);
+        expect(compatibility.requestAnimationFrame).toHaveBeenCalled();
+    });
+
+    it('ignores start() while starting or running', () => {
+        const { session } = createSession();
+
+        session.start();
+        session.start();
+        expect(prompts.length).toBe(1);
+        grant();
+        session.start();
+        expect(prompts.length).toBe(0);
+    });
+
+    it('pauses the loop and resumes it', () => {
+        const { session, states } = createSession();
+
+        session.start();
+        grant();
+        session.pause();
+        expect(session.state).toBe(HandGestureSession.PAUSED);
+        expect(compatibility.cancelAnimationFrame).toHaveBeenCalled();
+        expect(session.video.pause).toHaveBeenCalled();
+
+        session.resume();
+        expect(states).toEqual([
+            HandGestureSession.STARTING, HandGestureSession.RUNNING,
+            HandGestureSession.PAUSED, HandGestureSession.RUNNING
+        ]);
+    });
+
+    it('does not count the paused time', () => {
+        const { session } = createSession();
+        const now = Date.now;
+        let time = 1000;
+
+        Date.now = () => time;
+        try {
+            session.start();
+            grant();
+            session.pause();
+            time = 6000;
+            session.resume();
+            expect(session.startTime).toBe(6000);
+        } finally {
+            Date.now = now;
+        }
+    });
+
+    it('releases the camera on stop() and can start again', () => {
+        const { session } = createSession();
+        const stream = fakeStream();
+
+        session.start();
+        grant(stream);
+        session.stop();
+
+        expect(session.state).toBe(HandGestureSession.STOPPED);
+        expect(stream.track.stop).toHaveBeenCalled();
+        expect(session.video.srcObject).toBe(null);
+
+        session.start();
+        grant();
+        expect(session.state).toBe(HandGestureSession.RUNNING);
+    });
+
+    it('releases a camera granted after stop()', () => {
+        const { session } = createSession();
+        const stream = fakeStream();
+
+        session.start();
+        session.stop();
+        grant(stream);
+
+        expect(session.state).toBe(HandGestureSession.STOPPED);
+        expect(stream.track.stop).toHaveBeenCalled();
+        expect(session.video.srcObject).toBe(null);
+    });
+
+    it('fails when the camera is denied', () => {
+        const onError = jest.fn();
+        const { session } = createSession({ onError: onError });
+        const error = new Error('Permission denied');
+
+        session.start();
+        deny(error);
+
+        expect(session.state).toBe(HandGestureSession.ERROR);
+        expect(onError).toHaveBeenCalledWith(error);
+    });
+});
+
+describe('HandGestureSession#dispose', () => {
+    it('stops the session and drops the DOM and the callbacks', () => {
+        const { session, states } = createSession();
+        const stream = fakeStream();
+
+        session.start();
+        grant(stream);
+        session.dispose();
+
+        expect(session.state).toBe(HandGestureSession.DISPOSED);
+        expect(stream.track.stop).toHaveBeenCalled();
+        expect(session.video).toBe(null);
+        expect(session.canvas).toBe(null);
+        expect(session.context).toBe(null);
+        expect(session.config).toEqual({});
+        expect(states[states.length - 1]).toBe(HandGestureSession.DISPOSED);
+    });
+
+    it('ignores every later call', () => {
+        const { session, states } = createSession();
+
+        session.start();
+        grant();
+        session.dispose();
+        const count = states.length;
+
+        session.start();
+        session.pause();
+        session.resume();
+        session.stop();
+        session.dispose();
+
+        expect(prompts.length).toBe(0);
+        expect(session.state).toBe(HandGestureSession.DISPOSED);
+        expect(states.length).toBe(count);
+    });
+
+    it('releases a camera granted after dispose()', () => {
+        const { session } = createSession();
+        const stream = fakeStream();
+
+        session.start();
+        session.dispose();
+        grant(stream);
+
+        expect(session.state).toBe(HandGestureSession.DISPOSED);
+        expect(stream.track.stop).toHaveBeenCalled();
+    });
+});
+
+describe('HandGestureSession#tick', () => {
+    const observation = { pose: 'fist', box: [0.1, 0.1, 0.2, 0.2], confidence: 1 };
+
+    // A detector that reports right away, like the skin engine
+    const fakeDetector = () => ({
+        detect: (video, callback) => callback([observation]),
+        getDebugImages: () => ({}),
+        dispose: jest.fn()
+    });
+
+    const runningSession = (config) => {
+        const { session } = createSession(Object.assign({ sequence: false, poses: ['fist'] }, config));
+
+        session.start();
+        grant();
+        Object.assign(session.video, { readyState: 4, videoWidth: 320, videoHeight: 240 });
+        session.context.fillRect = jest.fn();
+        session.context.beginPath = jest.fn();
+        session.context.stroke = jest.fn();
+        session.detector = fakeDetector();
+
+        return session;
+    };
+
+    it('draws the hands it found', () => {
+        const session = runningSession();
+
+        session.tick();
+        session.tick();
+        expect(session.context.fillRect).toHaveBeenCalled();
+    });
+
+    it('stops drawing once a callback has disposed the session', () => {
+        let dispose = false;
+        const session = runningSession({
+            onObservations: () => {
+                if (dispose) session.dispose();
+            }
+        });
+
+        session.tick();
+        dispose = true;
+        expect(() => session.tick()).not.toThrow();
+        expect(session.state).toBe(HandGestureSession.DISPOSED);
+    });
+
+    it('stops drawing once a callback has stopped the session', () => {
+        const session = runningSession({
+            debugCanvas: fakeCanvas(),
+            onObservations: () => session.stop()
+        });
+
+        expect(() => session.tick()).not.toThrow();
+        expect(session.state).toBe(HandGestureSession.STOPPED);
+    });
+});
@@ -0,0 +1,204 @@
+import { HandTrajectory } from './handTrajectory.js';
+
+//HandTracker.js
+/**
+ * Follows every hand in view across frames. The observations of each frame
+ * are matched to the known tracks by overlap and centre distance, so a hand
+ * keeps its id while it moves or changes pose.
+ *
+ * A new track is only reported once it has been matched in minHits frames,
+ * which keeps single false detections out. A track that goes unmatched is
+ * kept for maxMissedTime ms before it is dropped, so short detection gaps do
+ * not give the hand a new id.
+ *
+ * Tracks look like
+ *
+ *     {
+ *         id:          Number, unique for the tracker
+ *         pose:        Pose of the latest observation
+ *         box:         Smoothed [x, y, width, height]
+ *         observation: Latest matched observation
+ *         trajectory:  HandTrajectory of the hand
+ *         hits:        Frames the track was matched in
+ *         firstSeen:   Timestamp of the first observation
+ *         lastSeen:    Timestamp of the latest observation
+ *         confirmed:   Whether the track has been reported yet
+ *     }
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.minIoU]        Overlap a match needs if the centres
+ *                                         are farther than maxDistance apart
+ * @param {Number} [options.maxDistance]   Centre distance a match needs if the
+ *                                         boxes overlap less than minIoU, in
+ *                                         normalized frame units
+ * @param {Number} [options.minHits]       Frames a new hand has to be seen in
+ * @param {Number} [options.maxMissedTime] Time in ms a lost hand is kept for
+ * @param {Number} [options.duplicateIoU]  Overlap above which two observations
+ *                                         are taken for the same hand, like
+ *                                         the open and fist cascades firing
+ *                                         on one hand
+ * @param {Object} [options.trajectory]    Options of the track trajectories
+ */
+var HandTracker = function (options) {
+    options = options || {};
+
+    this.minIoU = options.minIoU !== undefined ? options.minIoU : 0.2;
+    this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : 0.15;
+    this.minHits = options.minHits || 3;
+    this.maxMissedTime = options.maxMissedTime !== undefined ? options.maxMissedTime : 500;
+    this.duplicateIoU = options.duplicateIoU !== undefined ? options.duplicateIoU : 0.5;
+    this.trajectoryOptions = options.trajectory;
+    this.nextId = 1;
+    this.reset();
+};
+
+/**
+ * Intersection over union of two boxes.
+ */
+HandTracker.iou = function (a, b) {
+    var width = Math.min(a[0] + a[2], b[0] + b[2]) - Math.max(a[0], b[0]),
+        height = Math.min(a[1] + a[3], b[1] + b[3]) - Math.max(a[1], b[1]),
+        intersection, union;
+
+    if (width <= 0 || height <= 0) return 0;
+
+    intersection = width * height;
+    union = a[2] * a[3] + b[2] * b[3] - intersection;
+    return union > 0 ? intersection / union : 0;
+};
+
+/**
+ * Distance between the centres of two boxes.
+ */
+HandTracker.distance = function (a, b) {
+    var dx = (a[0] + a[2] / 2) - (b[0] + b[2] / 2),
+        dy = (a[1] + a[3] / 2) - (b[1] + b[3] / 2);
+
+    return Math.sqrt(dx * dx + dy * dy);
+};
+
+/**
+ * Drops all tracks. Ids keep counting up, so old ids are never reused.
+ */
+HandTracker.prototype.reset = function () {
+    this.tracks = [];
+};
+
+/**
+ * Matches the observations of a frame to the tracks.
+ *
+ * @param {Array}  observations Observations of the hand detectors
+ * @param {Number} [now]        Timestamp of the frame in ms
+ *
+ * @return {Array} Confirmed tracks, including the ones missed in this frame
+ *                 that are still within their grace period
+ */
+HandTracker.prototype.update = function (observations, now) {
+    var that = this,
+        candidates = [],
+        matchedTracks = [],
+        matchedObservations = [],
+        i, j;
+
+    now = now !== undefined ? now : Date.now();
+    observations = this.dropDuplicates(observations);
+
+    for (i = 0; i < this.tracks.length; ++i) {
+        for (j = 0; j < observations.length; ++j) {
+            // Raw boxes, the smoothed ones lag behind fast hands:
+            var iou = HandTracker.iou(this.tracks[i].observation.box, observations[j].box),
+                distance = HandTracker.distance(this.tracks[i].observation.box, observations[j].box);
+
+            if (iou >= this.minIoU || distance <= this.maxDistance) {
+                // Overlap counts most, distance breaks the ties of
+                // non-overlapping boxes:
+                candidates.push({ track: i, observation: j, score: iou - distance });
+            }
+        }
+    }
+
+    // Greedy matching, best pairs first:
+    candidates.sort(function (a, b) {
+        return b.score - a.score;
+    });
+    candidates.forEach(function (candidate) {
+        if (matchedTracks[candidate.track] || matchedObservations[candidate.observation]) return;
+
+        matchedTracks[candidate.track] = true;
+        matchedObservations[candidate.observation] = true;
+        that.hit(that.tracks[candidate.track], observations[candidate.observation], now);
+    });
+
+    // Unconfirmed tracks have no grace period, they may be false detections:
+    this.tracks = this.tracks.filter(function (track, index) {
+        if (matchedTracks[index]) return true;
+        return track.confirmed && now - track.lastSeen <= that.maxMissedTime;
+    });
+
+    for (j = 0; j < observations.length; ++j) {
+        if (!matchedObservations[j]) {
+            this.tracks.push(this.createTrack(observations[j], now));
+        }
+    }
+
+    return this.getTracks();
+};
+
+/**
+ * @return {Array} Confirmed tracks, oldest first
+ */
+HandTracker.prototype.getTracks = function () {
+    return this.tracks.filter(function (track) {
+        return track.confirmed;
+    });
+};
+
+/**
+ * Keeps the most confident of observations that overlap by more than
+ * duplicateIoU.
+ */
+HandTracker.prototype.dropDuplicates = function (observations) {
+    var kept = [],
+        duplicateIoU = this.duplicateIoU;
+
+    observations.slice(0).sort(function (a, b) {
+        return b.confidence - a.confidence;
+    }).forEach(function (observation) {
+        var duplicate = kept.some(function (other) {
+            return HandTracker.iou(observation.box, other.box) > duplicateIoU;
+        });
+        if (!duplicate) kept.push(observation);
+    });
+    return kept;
+};
+
+HandTracker.prototype.createTrack = function (observation, now) {
+    var track = {
+        id: this.nextId++,
+        pose: null,
+        box: null,
+        observation: null,
+        trajectory: new HandTrajectory(this.trajectoryOptions),
+        hits: 0,
+        firstSeen: now,
+        lastSeen: now,
+        confirmed: false
+    };
+
+    this.hit(track, observation, now);
+    return track;
+};
+
+HandTracker.prototype.hit = function (track, observation, now) {
+    track.trajectory.update(observation.box, now, observation.centroid);
+    track.pose = observation.pose;
+    track.box = track.trajectory.box();
+    track.observation = observation;
+    track.lastSeen = now;
+    track.hits++;
+    if (track.hits >= this.minHits) {
+        track.confirmed = true;
+    }
+};
+
+export { HandTracker };
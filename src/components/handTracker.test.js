@@ -0,0 +1,102 @@
+import { HandTracker } from './handTracker.js';
+
+const hand = (x, y, pose, confidence) => ({
+    box: [x, y, 0.2, 0.2],
+    pose: pose || 'open',
+    confidence: confidence !== undefined ? confidence : 1
+});
+
+// Feeds frames 100 ms apart, from time 0
+const run = (tracker, frames) => frames.map((observations, i) => tracker.update(observations, i * 100));
+
+describe('HandTracker.iou', () => {
+    it('is the intersection over the union', () => {
+        expect(HandTracker.iou([0, 0, 2, 2], [0, 0, 2, 2])).toBe(1);
+        expect(HandTracker.iou([0, 0, 2, 2], [1, 0, 2, 2])).toBeCloseTo(1 / 3);
+        expect(HandTracker.iou([0, 0, 1, 1], [2, 2, 1, 1])).toBe(0);
+    });
+});
+
+describe('HandTracker#update', () => {
+    it('reports a hand once it has been seen in minHits frames', () => {
+        const tracker = new HandTracker({ minHits: 3 });
+        const tracks = run(tracker, [[hand(0.1, 0.1)], [hand(0.11, 0.1)], [hand(0.12, 0.1)]]);
+
+        expect(tracks[0]).toEqual([]);
+        expect(tracks[1]).toEqual([]);
+        expect(tracks[2].length).toBe(1);
+        expect(tracks[2][0].hits).toBe(3);
+    });
+
+    it('keeps the id of a hand that moves and changes pose', () => {
+        const tracker = new HandTracker({ minHits: 1 });
+        const tracks = run(tracker, [[hand(0.1, 0.1)], [hand(0.15, 0.12, 'fist')], [hand(0.2, 0.14, 'fist')]]);
+
+        expect(tracks[2].length).toBe(1);
+        expect(tracks[2][0].id).toBe(tracks[0][0].id);
+        expect(tracks[2][0].pose).toBe('fist');
+    });
+
+    it('matches hands by overlap', () => {
+        const tracker = new HandTracker({ minHits: 1 });
+        const idAt = (tracks, x) => tracks.find((track) => track.observation.box[0] === x).id;
+        const first = tracker.update([hand(0.1, 0.1), hand(0.6, 0.1)], 0);
+        const left = idAt(first, 0.1);
+        const right = idAt(first, 0.6);
+        // Both hands moved, listed the other way round:
+        const second = tracker.update([hand(0.5, 0.1), hand(0.12, 0.1)], 100);
+
+        expect(idAt(second, 0.12)).toBe(left);
+        expect(idAt(second, 0.5)).toBe(right);
+    });
+
+    it('gives the better overlap the track when two hands compete for it', () => {
+        const tracker = new HandTracker({ minHits: 1 });
+        const first = tracker.update([hand(0.3, 0.3)], 0);
+        const second = tracker.update([hand(0.38, 0.3), hand(0.31, 0.3)], 100);
+
+        expect(second.find((track) => track.id === first[0].id).observation.box[0]).toBe(0.31);
+        expect(second.length).toBe(2);
+    });
+
+    it('starts a new track for a hand too far away', () => {
+        const tracker = new HandTracker({ minHits: 1 });
+        const tracks = run(tracker, [[hand(0.1, 0.1)], [hand(0.7, 0.7)]]);
+
+        expect(tracks[1].length).toBe(2);
+        expect(tracks[1][1].id).not.toBe(tracks[0][0].id);
+    });
+
+    it('keeps a lost hand for maxMissedTime', () => {
+        const tracker = new HandTracker({ minHits: 1, maxMissedTime: 250 });
+
+        tracker.update([hand(0.1, 0.1)], 0);
+        expect(tracker.update([], 200).length).toBe(1);
+        expect(tracker.update([hand(0.1, 0.1)], 250)[0].id).toBe(1);
+        expect(tracker.update([], 600).length).toBe(0);
+        expect(tracker.update([hand(0.1, 0.1)], 700)[0].id).toBe(2);
+    });
+
+    it('drops unconfirmed tracks as soon as they are missed', () => {
+        const tracker = new HandTracker({ minHits: 3 });
+
+        run(tracker, [[hand(0.1, 0.1)], [hand(0.1, 0.1)], []]);
+        expect(tracker.tracks.length).toBe(0);
+    });
+
+    it('takes overlapping observations for one hand', () => {
+        const tracker = new HandTracker({ minHits: 1 });
+        const tracks = tracker.update([hand(0.1, 0.1, 'open', 0.4), hand(0.11, 0.1, 'fist', 0.9)], 0);
+
+        expect(tracks.length).toBe(1);
+        expect(tracks[0].pose).toBe('fist');
+    });
+
+    it('never reuses an id after reset()', () => {
+        const tracker = new HandTracker({ minHits: 1 });
+
+        tracker.update([hand(0.1, 0.1)], 0);
+        tracker.reset();
+        expect(tracker.update([hand(0.1, 0.1)], 100)[0].id).toBe(2);
+    });
+});
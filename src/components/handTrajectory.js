@@ -0,0 +1,137 @@
+import { Smoother } from './handDetection2.js';
+
+//HandTrajectory.js
+/**
+ * Smoothed path of one tracked hand. The centre and size of every observed
+ * box are passed through a Smoother, and the smoothed positions are kept in
+ * a rolling buffer for consumers that look at motion, like swipe detection,
+ * or that want a steady overlay instead of the jittery raw boxes.
+ *
+ * Boxes are [x, y, width, height] in any unit, normally the normalized
+ * coordinates of the hand detectors. Points in the buffer are
+ *
+ *     { time, x, y, width, height }
+ *
+ * with x and y the smoothed centre of the hand.
+ *
+ * @param {Object} [options]
+ * @param {Array}  [options.alphas]     Smoothing factors of centre x, centre y,
+ *                                      width and height, between 0 - 1.
+ *                                      Higher follows the hand more closely
+ * @param {Number} [options.lookAhead]  Share of the linear trend added to the
+ *                                      smoothed values, between 0 - 1
+ * @param {Number} [options.maxLength]  Most points kept in the buffer
+ * @param {Number} [options.maxAge]     Time in ms points are kept for
+ * @param {Number} [options.maxGap]     Time in ms the hand may go unseen
+ *                                      before the trajectory starts over
+ */
+var HandTrajectory = function (options) {
+    options = options || {};
+
+    this.alphas = options.alphas || HandTrajectory.DEFAULT_ALPHAS;
+    this.lookAhead = options.lookAhead !== undefined ? options.lookAhead : 0;
+    this.maxLength = options.maxLength || 60;
+    this.maxAge = options.maxAge || 2000;
+    this.maxGap = options.maxGap !== undefined ? options.maxGap : 500;
+    this.reset();
+};
+
+/**
+ * Share of the distance to the observed value closed within one second. The
+ * centre follows the hand closely, the size changes slowly as the cascades
+ * report noisy box sizes.
+ */
+HandTrajectory.DEFAULT_ALPHAS = [0.9999, 0.9999, 0.99, 0.99];
+
+/**
+ * Forgets the path and the smoothing state.
+ */
+HandTrajectory.prototype.reset = function () {
+    this.smoother = null;
+    this.buffer = [];
+};
+
+/**
+ * Adds an observed box to the path.
+ *
+ * @param {Array}  box      Observed [x, y, width, height]
+ * @param {Number} [now]    Timestamp of the observation in ms
+ * @param {Array}  [centre] Observed [x, y] centre of the hand, like the mass
+ *                          centre of its contour. Defaults to the box centre
+ *
+ * @return {Object} The new smoothed point
+ */
+HandTrajectory.prototype.update = function (box, now, centre) {
+    var values = centre ? [centre[0], centre[1], box[2], box[3]] :
+            [box[0] + box[2] / 2, box[1] + box[3] / 2, box[2], box[3]],
+        last = this.last(),
+        smoothed, point;
+
+    now = now !== undefined ? now : Date.now();
+
+    // The hand was lost too long to glide over from where it was last seen:
+    if (last && now - last.time > this.maxGap) {
+        this.reset();
+    }
+
+    if (!this.smoother) {
+        this.smoother = new Smoother(this.alphas, values, this.lookAhead, now);
+        smoothed = values;
+    } else {
+        smoothed = this.smoother.smooth(values, now);
+    }
+
+    point = { time: now, x: smoothed[0], y: smoothed[1], width: smoothed[2], height: smoothed[3] };
+    this.buffer.push(point);
+    this.prune(now);
+    return point;
+};
+
+HandTrajectory.prototype.prune = function (now) {
+    var maxAge = this.maxAge;
+
+    this.buffer = this.buffer.filter(function (point) {
+        return now - point.time <= maxAge;
+    });
+    if (this.buffer.length > this.maxLength) {
+        this.buffer.splice(0, this.buffer.length - this.maxLength);
+    }
+};
+
+/**
+ * @return {Object} Latest smoothed point, null if the hand was not seen yet
+ */
+HandTrajectory.prototype.last = function () {
+    return this.buffer.length ? this.buffer[this.buffer.length - 1] : null;
+};
+
+/**
+ * Smoothed points, oldest first.
+ *
+ * @param {Number} [duration] Only the points of the last duration ms
+ *
+ * @return {Array} Copy of the buffered points
+ */
+HandTrajectory.prototype.points = function (duration) {
+    var last = this.last();
+
+    if (duration === undefined || !last) return this.buffer.slice(0);
+
+    return this.buffer.filter(function (point) {
+        return last.time - point.time <= duration;
+    });
+};
+
+/**
+ * Latest smoothed box, for drawing a steady overlay.
+ *
+ * @return {Array} [x, y, width, height], null if the hand was not seen yet
+ */
+HandTrajectory.prototype.box = function () {
+    var last = this.last();
+
+    if (!last) return null;
+    return [last.x - last.width / 2, last.y - last.height / 2, last.width, last.height];
+};
+
+export { HandTrajectory };
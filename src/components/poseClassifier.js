@@ -0,0 +1,238 @@
+//PoseClassifier.js
+/**
+ * Tells hand poses apart by the shape of the hand contour, for the skin
+ * contour tracker of handDetection.js. Each HT.Candidate is reduced to a few
+ * geometric features, and compared with a template of every known pose:
+ *
+ *   fingers   fingertips found by HT.Candidate#countFingers, 0 to 5
+ *   gaps      convexity defects deep and narrow enough to be finger gaps
+ *   depth     depth of the deepest convexity defect, gap or not, relative
+ *             to the hand size
+ *   solidity  contour area over hull area, lower with spread fingers
+ *   aspect    width over height of the bounding box
+ *   spread    largest distance between two fingertips, relative to the
+ *             hand size
+ *
+ * A template gives the expected value of some of the features, and how far
+ * off a hand may be (tolerance). The closer a hand is to a template, the
+ * higher the score of its pose, from 0 to 1. A pose can have several
+ * templates, e.g. for a thumb held up or to the side, and scores as its best
+ * one. New poses are added with addPose(), from values or from sample hands,
+ * without retraining anything:
+ *
+ *     classifier.addPose('three', { fingers: 3, gaps: 2 });
+ *     classifier.addPose('ok', samples.map(classifier.features, classifier));
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.templates] Template or list of templates by pose,
+ *                                     defaults to TEMPLATES
+ * @param {Number} [options.minScore]  Score below which no pose is reported
+ * @param {Object} [options.fingers]   Params of HT.Candidate#countFingers
+ */
+var PoseClassifier = function (options) {
+    var templates;
+
+    options = options || {};
+
+    this.minScore = options.minScore !== undefined ? options.minScore : PoseClassifier.MIN_SCORE;
+    this.fingerParams = options.fingers || {};
+    this.templates = {};
+
+    templates = options.templates || PoseClassifier.TEMPLATES;
+    Object.keys(templates).forEach(function (pose) {
+        [].concat(templates[pose]).forEach(function (template) {
+            this.addPose(pose, template.features, template.tolerances);
+        }, this);
+    }, this);
+};
+
+PoseClassifier.FEATURES = ['fingers', 'gaps', 'depth', 'solidity', 'aspect', 'spread'];
+
+/**
+ * How far a feature may be off the template by default. A hand off by this
+ * much in every feature of a template scores about 0.6.
+ */
+PoseClassifier.TOLERANCES = {
+    fingers: 1,
+    gaps: 1,
+    depth: 0.1,
+    solidity: 0.08,
+    aspect: 0.25,
+    spread: 0.2
+};
+
+PoseClassifier.MIN_SCORE = 0.3;
+
+/**
+ * Built-in poses, for an upright hand facing the camera. A single stretched
+ * finger leaves no defect narrow enough to count as a finger gap, and is
+ * counted as a fingertip or not depending on the angle of its defect, so the
+ * templates of 'point' (index finger up) and 'thumb' (thumb up or to the
+ * side) leave out the finger count. They are told from a fist by their
+ * shallow defects, lower solidity and their aspect.
+ */
+PoseClassifier.TEMPLATES = {
+    open: { features: { fingers: 5, gaps: 4, depth: 0.4, solidity: 0.6, aspect: 0.9, spread: 0.85 } },
+    fist: { features: { fingers: 0, gaps: 0, depth: 0.05, solidity: 0.93, aspect: 0.85, spread: 0 } },
+    point: { features: { gaps: 0, depth: 0.18, solidity: 0.75, aspect: 0.5, spread: 0 } },
+    peace: { features: { fingers: 2, gaps: 1, depth: 0.45, solidity: 0.65, aspect: 0.55, spread: 0.45 } },
+    thumb: [
+        { features: { gaps: 0, depth: 0.2, solidity: 0.85, aspect: 0.7, spread: 0 } },
+        { features: { gaps: 0, depth: 0.15, solidity: 0.85, aspect: 1.5, spread: 0 } }
+    ]
+};
+
+/**
+ * Adds a pose, or another template of a known one.
+ *
+ * @param {String}       pose         Name reported for the pose
+ * @param {Object|Array} features     Expected feature values, or the features
+ *                                    of sample hands to average
+ * @param {Object}       [tolerances] Tolerance per feature, defaults to
+ *                                    TOLERANCES, or the spread of the samples
+ */
+PoseClassifier.prototype.addPose = function (pose, features, tolerances) {
+    var samples = Array.isArray(features) ? features : [features],
+        expected = {};
+
+    if (samples.length === 0) {
+        throw new Error('The pose ' + pose + ' needs features or samples');
+    }
+
+    PoseClassifier.FEATURES.forEach(function (feature) {
+        var values = samples.map(function (sample) {
+            return sample[feature];
+        }).filter(function (value) {
+            return typeof value === 'number';
+        });
+
+        if (values.length > 0) {
+            expected[feature] = values.reduce(function (sum, value) {
+                return sum + value;
+            }, 0) / values.length;
+        }
+    });
+
+    if (Object.keys(expected).length === 0) {
+        throw new Error('The pose ' + pose + ' has none of the features ' + PoseClassifier.FEATURES.join(', '));
+    }
+
+    this.templates[pose] = (this.templates[pose] || []).concat({
+        features: expected,
+        tolerances: Object.assign({}, PoseClassifier.TOLERANCES,
+            samples.length > 1 ? PoseClassifier.spreadOf(samples, expected) : null, tolerances)
+    });
+};
+
+/**
+ * Forgets a pose with all of its templates.
+ */
+PoseClassifier.prototype.removePose = function (pose) {
+    delete this.templates[pose];
+};
+
+/**
+ * Standard deviation of each feature over samples, never below the default
+ * tolerance, so a few alike samples do not make a template too strict.
+ */
+PoseClassifier.spreadOf = function (samples, expected) {
+    var tolerances = {};
+
+    Object.keys(expected).forEach(function (feature) {
+        var sum = 0;
+
+        samples.forEach(function (sample) {
+            var diff = (sample[feature] || 0) - expected[feature];
+            sum += diff * diff;
+        });
+        tolerances[feature] = Math.max(Math.sqrt(sum / samples.length), PoseClassifier.TOLERANCES[feature]);
+    });
+
+    return tolerances;
+};
+
+/**
+ * Reduces a hand to the features the templates are made of.
+ *
+ * @param {HT.Candidate} candidate Hand found by HT.Tracker
+ * @param {Object}       [fingers] Its HT.Candidate#countFingers result, if
+ *                                 already at hand
+ *
+ * @return {Object} Feature values by name
+ */
+PoseClassifier.prototype.features = function (candidate, fingers) {
+    var box = candidate.boundingBox(),
+        handSize = Math.max(box.width, box.height, 1),
+        tips, depth = 0, spread = 0, i, j;
+
+    fingers = fingers || candidate.countFingers(this.fingerParams);
+    tips = fingers.fingertips;
+
+    for (i = 0; i < candidate.defects.length; ++i) {
+        depth = Math.max(depth, candidate.defects[i].depth);
+    }
+    for (i = 0; i < tips.length; ++i) {
+        for (j = i + 1; j < tips.length; ++j) {
+            spread = Math.max(spread, Math.sqrt(
+                (tips[i].x - tips[j].x) * (tips[i].x - tips[j].x) +
+                (tips[i].y - tips[j].y) * (tips[i].y - tips[j].y)));
+        }
+    }
+
+    return {
+        fingers: fingers.count,
+        gaps: fingers.gaps.length,
+        depth: depth / handSize,
+        solidity: candidate.solidity,
+        aspect: box.width / Math.max(box.height, 1),
+        spread: spread / handSize
+    };
+};
+
+/**
+ * Scores features against one template: 1 for a perfect match, falling off
+ * with the mean squared deviation in units of the tolerances.
+ */
+PoseClassifier.prototype.score = function (features, template) {
+    var names = Object.keys(template.features),
+        sum = 0;
+
+    names.forEach(function (feature) {
+        var diff = (features[feature] - template.features[feature]) / template.tolerances[feature];
+        sum += diff * diff;
+    });
+
+    return Math.exp(-0.5 * sum / names.length);
+};
+
+/**
+ * @param {HT.Candidate} candidate Hand found by HT.Tracker
+ * @param {Object}       [fingers] Its HT.Candidate#countFingers result
+ *
+ * @return {Object} pose: best scoring pose, null if it scores below
+ *                  minScore; score: its score; scores: { pose, score } of
+ *                  every pose, best first; features: the hand's features
+ */
+PoseClassifier.prototype.classify = function (candidate, fingers) {
+    var features = this.features(candidate, fingers),
+        scores = Object.keys(this.templates).map(function (pose) {
+            return {
+                pose: pose,
+                score: Math.max.apply(null, this.templates[pose].map(function (template) {
+                    return this.score(features, template);
+                }, this))
+            };
+        }, this).sort(function (a, b) {
+            return b.score - a.score;
+        }),
+        best = scores[0];
+
+    return {
+        pose: best && best.score >= this.minScore ? best.pose : null,
+        score: best ? best.score : 0,
+        scores: scores,
+        features: features
+    };
+};
+
+export { PoseClassifier };
@@ -0,0 +1,113 @@
+import { CV, HT } from './handDetection.js';
+import { PoseClassifier } from './poseClassifier.js';
+
+const WIDTH = 160;
+const HEIGHT = 120;
+
+// A palm as an ellipse, and fingers as capsules from (x, y), length long and
+// angle degrees off upright, clockwise.
+const palm = (cx, cy, rx, ry) => (x, y) => ((x - cx) / rx) * ((x - cx) / rx) + ((y - cy) / ry) * ((y - cy) / ry) <= 1;
+const finger = (x0, y0, length, angle, radius) => {
+    const dx = Math.sin(angle * Math.PI / 180) * length;
+    const dy = -Math.cos(angle * Math.PI / 180) * length;
+
+    return (x, y) => {
+        const t = Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / (dx * dx + dy * dy)));
+
+        return (x - x0 - t * dx) * (x - x0 - t * dx) + (y - y0 - t * dy) * (y - y0 - t * dy) <= radius * radius;
+    };
+};
+
+const HANDS = {
+    fist: [palm(80, 70, 22, 25)],
+    open: [palm(80, 80, 20, 22), finger(62, 80, 26, -60, 4), finger(70, 66, 30, -15, 4), finger(79, 62, 34, 0, 4),
+        finger(88, 64, 31, 12, 4), finger(96, 70, 24, 28, 4)],
+    point: [palm(80, 80, 18, 20), finger(74, 66, 40, -5, 4)],
+    peace: [palm(80, 80, 18, 20), finger(74, 66, 38, -15, 4), finger(86, 66, 38, 15, 4)],
+    thumb: [palm(80, 82, 20, 20), finger(66, 72, 26, -5, 5)],
+    thumbSide: [palm(80, 75, 20, 20), finger(66, 68, 24, -70, 5)]
+};
+
+// The hand drawn as a mask, and found by HT.Tracker as in a camera frame
+const candidate = (name) => {
+    const image = new CV.Image(WIDTH, HEIGHT);
+    const tracker = new HT.Tracker();
+
+    image.data = new Array(WIDTH * HEIGHT).fill(0);
+    for (let y = 0; y < HEIGHT; ++y) {
+        for (let x = 0; x < WIDTH; ++x) {
+            if (HANDS[name].some((part) => part(x, y))) {
+                image.data[y * WIDTH + x] = 255;
+            }
+        }
+    }
+
+    return tracker.findCandidate(CV.findContours(image), WIDTH * HEIGHT * 0.01, 0.005);
+};
+
+// Feature values measured on hands of every pose
+const FEATURES = {
+    fist: { fingers: 0, gaps: 0, depth: 0.02, solidity: 0.97, aspect: 0.85, spread: 0 },
+    open: { fingers: 5, gaps: 4, depth: 0.38, solidity: 0.63, aspect: 0.96, spread: 0.93 },
+    point: { fingers: 1, gaps: 0, depth: 0.16, solidity: 0.76, aspect: 0.47, spread: 0 },
+    peace: { fingers: 2, gaps: 1, depth: 0.47, solidity: 0.63, aspect: 0.52, spread: 0.37 },
+    thumb: { fingers: 1, gaps: 0, depth: 0.22, solidity: 0.86, aspect: 0.69, spread: 0 },
+    thumbSide: { fingers: 0, gaps: 0, depth: 0.14, solidity: 0.84, aspect: 1.51, spread: 0 }
+};
+
+const POSES = { fist: 'fist', open: 'open', point: 'point', peace: 'peace', thumb: 'thumb', thumbSide: 'thumb' };
+
+describe('PoseClassifier#classify', () => {
+    Object.keys(POSES).forEach((name) => {
+        it(`tells ${name} from its features`, () => {
+            const classifier = new PoseClassifier();
+
+            classifier.features = () => FEATURES[name];
+            expect(classifier.classify(null).pose).toBe(POSES[name]);
+        });
+
+        it(`tells ${name} from a hand`, () => {
+            const result = new PoseClassifier().classify(candidate(name));
+
+            expect(result.pose).toBe(POSES[name]);
+            expect(result.score).toBeGreaterThan(0.8);
+            expect(result.scores[1].score).toBeLessThan(result.score - 0.1);
+        });
+    });
+
+    it('counts the fingers of an open hand', () => {
+        const features = new PoseClassifier().features(candidate('open'));
+
+        expect(features.fingers).toBe(5);
+        expect(features.gaps).toBe(4);
+    });
+
+    it('reports no pose below minScore', () => {
+        const classifier = new PoseClassifier({ minScore: 0.9 });
+
+        classifier.features = () => ({ fingers: 3, gaps: 2, depth: 0.3, solidity: 0.7, aspect: 0.7, spread: 0.6 });
+        expect(classifier.classify(null).pose).toBe(null);
+    });
+});
+
+describe('PoseClassifier#addPose', () => {
+    it('adds a pose from values', () => {
+        const classifier = new PoseClassifier();
+
+        classifier.addPose('three', { fingers: 3, gaps: 2 });
+        classifier.features = () => ({ fingers: 3, gaps: 2, depth: 0.3, solidity: 0.7, aspect: 0.7, spread: 0.6 });
+        expect(classifier.classify(null).pose).toBe('three');
+    });
+
+    it('adds another template of a known pose', () => {
+        const classifier = new PoseClassifier();
+
+        classifier.addPose('thumb', FEATURES.point);
+        expect(classifier.templates.thumb.length).toBe(3);
+    });
+
+    it('rejects a pose without features', () => {
+        expect(() => new PoseClassifier().addPose('none', [])).toThrow(/needs features/);
+        expect(() => new PoseClassifier().addPose('none', { size: 1 })).toThrow(/has none of the features/);
+    });
+});
@@ -0,0 +1,294 @@
+//RockPaperScissors.js
+/**
+ * A best-of-N game of rock-paper-scissors against the computer, played with
+ * hand poses. Each round counts down, reads the player's pose for a moment,
+ * picks the computer's move and scores the round; draws are played again.
+ *
+ * Like GestureSequence, the game knows nothing about cameras or detectors.
+ * It is fed the observations of each frame and reports through callbacks,
+ * so time only passes while frames come in.
+ *
+ * @param {Object}   [options]
+ * @param {Number}   [options.rounds]         Best of how many rounds, 3 by
+ *                                            default
+ * @param {Number}   [options.countdown]      Time in ms counted down before
+ *                                            each throw
+ * @param {Number}   [options.captureTime]    Time in ms the pose is read for
+ *                                            after the countdown; the pose
+ *                                            seen most often is played
+ * @param {Number}   [options.maxCaptureTime] Time in ms to wait for a known
+ *                                            pose before counting down again
+ * @param {Number}   [options.revealTime]     Time in ms the result of a round
+ *                                            is shown
+ * @param {Object}   [options.poses]          Pose of each move, defaults to
+ *                                            POSES
+ * @param {Boolean}  [options.mirror]         The observations are of a
+ *                                            mirrored feed, like those of a
+ *                                            session with config.mirror.
+ *                                            getOutput() flips the boxes
+ *                                            back to the camera image
+ * @param {Function} [options.random]         Returns a number in [0, 1) for
+ *                                            the computer's move, Math.random
+ *                                            by default
+ * @param {Function} [options.onCountdown]    Called with the seconds left
+ *                                            whenever they change
+ * @param {Function} [options.onCapture]      Called when the pose is read
+ * @param {Function} [options.onNoMove]       Called when no known pose was
+ *                                            seen in time
+ * @param {Function} [options.onRound]        Called with the round result
+ * @param {Function} [options.onComplete]     Called with the game results
+ *                                            once a player has won
+ */
+var RockPaperScissors = function (options) {
+    this.options = options || {};
+    this.rounds = this.options.rounds || 3;
+    this.countdown = this.options.countdown || 3000;
+    this.captureTime = this.options.captureTime || 600;
+    this.maxCaptureTime = this.options.maxCaptureTime || 3000;
+    this.revealTime = this.options.revealTime || 2000;
+    this.poses = this.options.poses || RockPaperScissors.POSES;
+    this.random = this.options.random || Math.random;
+    this.mirror = !!this.options.mirror;
+    this.phase = RockPaperScissors.IDLE;
+};
+
+RockPaperScissors.IDLE = 'idle';
+RockPaperScissors.COUNTDOWN = 'countdown';
+RockPaperScissors.CAPTURE = 'capture';
+RockPaperScissors.REVEAL = 'reveal';
+RockPaperScissors.OVER = 'over';
+
+RockPaperScissors.MOVES = ['rock', 'paper', 'scissors'];
+
+RockPaperScissors.POSES = {
+    rock: 'fist',
+    paper: 'open',
+    scissors: 'peace'
+};
+
+RockPaperScissors.BEATS = {
+    rock: 'scissors',
+    paper: 'rock',
+    scissors: 'paper'
+};
+
+/**
+ * @return {String} 'player', 'computer' or 'draw'
+ */
+RockPaperScissors.winner = function (player, computer) {
+    if (player === computer) return 'draw';
+    return RockPaperScissors.BEATS[player] === computer ? 'player' : 'computer';
+};
+
+/**
+ * Starts a new game with the first countdown.
+ *
+ * @param {Number} now Time in ms
+ */
+RockPaperScissors.prototype.start = function (now) {
+    this.results = [];
+    this.score = { player: 0, computer: 0, draws: 0 };
+    this.startTime = now;
+    this.endTime = now;
+    this.framesProcessed = 0;
+    this.startCountdown(now);
+};
+
+RockPaperScissors.prototype.startCountdown = function (now) {
+    this.phase = RockPaperScissors.COUNTDOWN;
+    this.phaseStart = now;
+    this.roundFramesProcessed = 0;
+    this.secondsLeft = -1;
+};
+
+/**
+ * Moves the game on to the given time, with the hands seen at that time.
+ *
+ * @param {Array}  observations Observations of a hand detector
+ * @param {Number} now          Time in ms
+ */
+RockPaperScissors.prototype.update = function (observations, now) {
+    var elapsed = now - this.phaseStart,
+        seconds;
+
+    if (this.phase === RockPaperScissors.IDLE || this.phase === RockPaperScissors.OVER) return;
+
+    ++this.framesProcessed;
+    ++this.roundFramesProcessed;
+
+    switch (this.phase) {
+        case RockPaperScissors.COUNTDOWN:
+            seconds = Math.max(Math.ceil((this.countdown - elapsed) / 1000), 0);
+            if (seconds !== this.secondsLeft) {
+                this.secondsLeft = seconds;
+                this.emit('onCountdown', seconds);
+            }
+            if (elapsed >= this.countdown) {
+                this.phase = RockPaperScissors.CAPTURE;
+                this.phaseStart = now;
+                this.votes = {};
+                this.emit('onCapture');
+            }
+            break;
+
+        case RockPaperScissors.CAPTURE:
+            this.vote(observations);
+            if (elapsed >= this.captureTime && Object.keys(this.votes).length > 0) {
+                this.play(this.bestVote(), elapsed, now);
+            } else if (elapsed >= this.maxCaptureTime) {
+                this.emit('onNoMove');
+                this.startCountdown(now);
+            }
+            break;
+
+        case RockPaperScissors.REVEAL:
+            if (elapsed >= this.revealTime) {
+                if (this.isOver()) {
+                    this.phase = RockPaperScissors.OVER;
+                    this.emit('onComplete', this.getOutput());
+                } else {
+                    this.startCountdown(now);
+                }
+            }
+            break;
+
+        default:
+            break;
+    }
+};
+
+/**
+ * Counts the move of the most confident hand showing one.
+ */
+RockPaperScissors.prototype.vote = function (observations) {
+    var best = null, move = null, i, m;
+
+    for (i = 0; i < observations.length; ++i) {
+        m = this.moveOf(observations[i].pose);
+        if (m && (!best || observations[i].confidence > best.confidence)) {
+            best = observations[i];
+            move = m;
+        }
+    }
+    if (!best) return;
+
+    if (!this.votes[move]) {
+        this.votes[move] = { count: 0, observation: best };
+    }
+    ++this.votes[move].count;
+    if (best.confidence > this.votes[move].observation.confidence) {
+        this.votes[move].observation = best;
+    }
+};
+
+RockPaperScissors.prototype.bestVote = function () {
+    var votes = this.votes;
+
+    return Object.keys(votes).sort(function (a, b) {
+        return votes[b].count - votes[a].count;
+    })[0];
+};
+
+/**
+ * @return {String} Move shown with a pose, null if none
+ */
+RockPaperScissors.prototype.moveOf = function (pose) {
+    for (var i = 0; i < RockPaperScissors.MOVES.length; ++i) {
+        if (this.poses[RockPaperScissors.MOVES[i]] === pose) {
+            return RockPaperScissors.MOVES[i];
+        }
+    }
+    return null;
+};
+
+RockPaperScissors.prototype.play = function (player, time, now) {
+    var moves = RockPaperScissors.MOVES,
+        computer = moves[Math.min(Math.floor(this.random() * moves.length), moves.length - 1)],
+        winner = RockPaperScissors.winner(player, computer),
+        round;
+
+    if (winner === 'draw') {
+        ++this.score.draws;
+    } else {
+        ++this.score[winner];
+    }
+
+    round = {
+        player: player,
+        computer: computer,
+        winner: winner,
+        observation: this.votes[player].observation,
+        time: time,
+        framesProcessed: this.roundFramesProcessed
+    };
+    this.results.push(round);
+    this.endTime = now;
+    this.phase = RockPaperScissors.REVEAL;
+    this.phaseStart = now;
+    this.emit('onRound', round);
+};
+
+/**
+ * Wins needed to take the game.
+ */
+RockPaperScissors.prototype.winsNeeded = function () {
+    return Math.floor(this.rounds / 2) + 1;
+};
+
+RockPaperScissors.prototype.isOver = function () {
+    var needed = this.winsNeeded();
+    return this.score.player >= needed || this.score.computer >= needed;
+};
+
+/**
+ * Results of the game so far, in the shape of the Output flow type: the
+ * player's throws as gestures, the rounds and the score as game. The boxes
+ * are in the coordinates of the camera image, like the results of
+ * HandGestureSession, also when the observations were mirrored.
+ *
+ * @param {Number} [width]  Frame width the observation boxes are scaled to
+ * @param {Number} [height] Frame height
+ *
+ * @return {Object} Output
+ */
+RockPaperScissors.prototype.getOutput = function (width, height) {
+    var that = this;
+
+    width = width || 1;
+    height = height || 1;
+
+    return {
+        gestures: this.results.map(function (round) {
+            var box = round.observation.box,
+                x = that.mirror ? 1 - box[0] - box[2] : box[0];
+            return {
+                gesture: that.poses[round.player],
+                time: round.time,
+                confidence: round.observation.confidence,
+                box: [x * width, box[1] * height, box[2] * width, box[3] * height],
+                framesProcessed: round.framesProcessed
+            };
+        }),
+        totalTime: this.endTime - this.startTime,
+        framesProcessed: this.framesProcessed,
+        game: {
+            rounds: this.results.map(function (round) {
+                return { player: round.player, computer: round.computer, winner: round.winner };
+            }),
+            bestOf: this.rounds,
+            player: this.score.player,
+            computer: this.score.computer,
+            draws: this.score.draws,
+            winner: this.score.player > this.score.computer ? 'player' :
+                (this.score.computer > this.score.player ? 'computer' : 'draw')
+        }
+    };
+};
+
+RockPaperScissors.prototype.emit = function (callback) {
+    if (this.options[callback]) {
+        this.options[callback].apply(null, Array.prototype.slice.call(arguments, 1));
+    }
+};
+
+export { RockPaperScissors };
@@ -0,0 +1,170 @@
+import { RockPaperScissors } from './rockPaperScissors.js';
+
+const hand = (pose, confidence) => ({
+    box: [0.1, 0.2, 0.3, 0.4],
+    pose: pose,
+    confidence: confidence !== undefined ? confidence : 1
+});
+
+// The computer plays the given moves in turn
+const moves = (list) => {
+    let i = 0;
+
+    return () => RockPaperScissors.MOVES.indexOf(list[i++ % list.length]) / RockPaperScissors.MOVES.length;
+};
+
+// Plays a round from the start of its countdown at time now, showing pose
+// during the capture, and returns the time the result is revealed
+const playRound = (game, pose, now) => {
+    game.update([], now);
+    game.update([], now + game.countdown);
+    game.update([hand(pose)], now + game.countdown + 100);
+    game.update([hand(pose)], now + game.countdown + game.captureTime);
+
+    return now + game.countdown + game.captureTime;
+};
+
+describe('RockPaperScissors.winner', () => {
+    it('scores a throw', () => {
+        expect(RockPaperScissors.winner('rock', 'scissors')).toBe('player');
+        expect(RockPaperScissors.winner('rock', 'paper')).toBe('computer');
+        expect(RockPaperScissors.winner('paper', 'paper')).toBe('draw');
+    });
+});
+
+describe('RockPaperScissors#update', () => {
+    it('does nothing before start()', () => {
+        const onCountdown = jest.fn();
+        const game = new RockPaperScissors({ onCountdown: onCountdown });
+
+        game.update([hand('fist')], 0);
+        expect(game.phase).toBe(RockPaperScissors.IDLE);
+        expect(onCountdown).not.toHaveBeenCalled();
+    });
+
+    it('counts down the seconds, then reads the pose', () => {
+        const onCountdown = jest.fn();
+        const onCapture = jest.fn();
+        const game = new RockPaperScissors({ onCountdown: onCountdown, onCapture: onCapture });
+
+        game.start(0);
+        [0, 100, 1000, 1500, 2000, 2999].forEach((now) => game.update([], now));
+        expect(onCountdown.mock.calls).toEqual([[3], [2], [1]]);
+        expect(game.phase).toBe(RockPaperScissors.COUNTDOWN);
+
+        game.update([], 3000);
+        expect(onCountdown).toHaveBeenLastCalledWith(0);
+        expect(onCapture).toHaveBeenCalledTimes(1);
+        expect(game.phase).toBe(RockPaperScissors.CAPTURE);
+    });
+
+    it('plays the move seen most often during the capture', () => {
+        const onRound = jest.fn();
+        const game = new RockPaperScissors({ onRound: onRound, random: moves(['rock']) });
+
+        game.start(0);
+        game.update([], 3000);
+        game.update([hand('peace')], 3100);
+        game.update([hand('open', 0.6)], 3200);
+        game.update([hand('open', 0.8), hand('thumb')], 3300);
+        game.update([], 3600);
+
+        expect(onRound).toHaveBeenCalledTimes(1);
+        expect(onRound.mock.calls[0][0]).toMatchObject({ player: 'paper', computer: 'rock', winner: 'player', time: 600 });
+        expect(onRound.mock.calls[0][0].observation.confidence).toBe(0.8);
+        expect(game.phase).toBe(RockPaperScissors.REVEAL);
+    });
+
+    it('counts down again when no move is seen in time', () => {
+        const onNoMove = jest.fn();
+        const game = new RockPaperScissors({ onNoMove: onNoMove });
+
+        game.start(0);
+        game.update([], 3000);
+        game.update([hand('thumb')], 3600);
+        expect(game.phase).toBe(RockPaperScissors.CAPTURE);
+
+        game.update([hand('thumb')], 6000);
+        expect(onNoMove).toHaveBeenCalledTimes(1);
+        expect(game.phase).toBe(RockPaperScissors.COUNTDOWN);
+    });
+
+    it('reveals the round before the next countdown', () => {
+        const game = new RockPaperScissors({ random: moves(['scissors']) });
+        let now;
+
+        game.start(0);
+        now = playRound(game, 'fist', 0);
+        game.update([], now + game.revealTime - 1);
+        expect(game.phase).toBe(RockPaperScissors.REVEAL);
+
+        game.update([], now + game.revealTime);
+        expect(game.phase).toBe(RockPaperScissors.COUNTDOWN);
+        expect(game.score).toEqual({ player: 1, computer: 0, draws: 0 });
+    });
+
+    it('is over once a player has won the most of the rounds', () => {
+        const onComplete = jest.fn();
+        const game = new RockPaperScissors({ onComplete: onComplete, random: moves(['rock', 'rock', 'scissors', 'rock']) });
+        let now = 0;
+
+        game.start(0);
+        ['fist', 'open', 'open', 'open'].forEach((pose) => {
+            now = playRound(game, pose, now) + game.revealTime;
+            game.update([], now);
+        });
+
+        expect(game.phase).toBe(RockPaperScissors.OVER);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+        expect(onComplete.mock.calls[0][0].game).toEqual({
+            rounds: [
+                { player: 'rock', computer: 'rock', winner: 'draw' },
+                { player: 'paper', computer: 'rock', winner: 'player' },
+                { player: 'paper', computer: 'scissors', winner: 'computer' },
+                { player: 'paper', computer: 'rock', winner: 'player' }
+            ],
+            bestOf: 3,
+            player: 2,
+            computer: 1,
+            draws: 1,
+            winner: 'player'
+        });
+
+        game.update([hand('fist')], now + 10000);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports the computer as the winner of a lost game', () => {
+        const onComplete = jest.fn();
+        const game = new RockPaperScissors({ rounds: 1, onComplete: onComplete, random: moves(['paper']) });
+
+        game.start(0);
+        game.update([], playRound(game, 'fist', 0) + game.revealTime);
+
+        expect(onComplete.mock.calls[0][0].game.winner).toBe('computer');
+    });
+
+    it('reports the throws as gestures scaled to the frame', () => {
+        const game = new RockPaperScissors({ random: moves(['rock']) });
+
+        game.start(1000);
+        playRound(game, 'peace', 1000);
+
+        expect(game.getOutput(100, 50).gestures).toEqual([
+            { gesture: 'peace', time: 600, confidence: 1, box: [10, 10, 30, 20], framesProcessed: 4 }
+        ]);
+        expect(game.getOutput().totalTime).toBe(3600);
+        expect(game.getOutput().framesProcessed).toBe(4);
+    });
+
+    it('flips the boxes of a mirrored feed back to the camera image', () => {
+        const game = new RockPaperScissors({ mirror: true, random: moves(['rock']) });
+
+        game.start(0);
+        playRound(game, 'fist', 0);
+
+        // The hand at 0.1 to 0.4 of the mirrored view is at 0.6 to 0.9 of the camera image:
+        expect(game.getOutput(100, 50).gestures[0].box.map(Math.round)).toEqual([60, 10, 30, 20]);
+        expect(game.getOutput().gestures[0].box[0]).toBeCloseTo(0.6, 10);
+    });
+});
@@ -0,0 +1,96 @@
+//SwipeRecognizer.js
+/**
+ * Recognizes swipes in the smoothed trajectories of tracked hands. A swipe is
+ * a movement that covers at least minDistance at a speed of at least
+ * minVelocity, within the last window ms, along an axis it moved minRatio
+ * times as far on as on the other. Diagonal moves are no swipes.
+ *
+ * Directions are in image coordinates: swipe-left means the hand moved
+ * towards x = 0 of the frame.
+ *
+ * @param {Object}   [options]
+ * @param {Number}   [options.minDistance] Distance in normalized frame units
+ * @param {Number}   [options.minVelocity] Speed in normalized frame units per s
+ * @param {Number}   [options.minRatio]    How many times the distance along the
+ *                                         other axis the swipe has to cover
+ * @param {Number}   [options.window]      Time in ms a swipe has to happen in
+ * @param {Number}   [options.cooldown]    Time in ms after a swipe in which no
+ *                                         other swipe of the track is reported
+ * @param {Function} [options.onSwipe]     Called with the swipe event
+ */
+var SwipeRecognizer = function (options) {
+    options = options || {};
+
+    this.minDistance = options.minDistance || 0.25;
+    this.minVelocity = options.minVelocity || 0.8;
+    this.minRatio = options.minRatio || 2;
+    this.window = options.window || 500;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 700;
+    this.onSwipe = options.onSwipe || null;
+    this.reset();
+};
+
+SwipeRecognizer.LEFT = 'swipe-left';
+SwipeRecognizer.RIGHT = 'swipe-right';
+SwipeRecognizer.UP = 'swipe-up';
+SwipeRecognizer.DOWN = 'swipe-down';
+
+/**
+ * Forgets the last swipe of every track.
+ */
+SwipeRecognizer.prototype.reset = function () {
+    this.lastSwipes = {};
+};
+
+/**
+ * Looks for a swipe that ends in the latest point of a trajectory.
+ *
+ * @param {String}         track      Name of the track, e.g. 'open' or 'fist'
+ * @param {HandTrajectory} trajectory Smoothed path of the hand
+ *
+ * @return {Object} Swipe event, null if there is none
+ */
+SwipeRecognizer.prototype.update = function (track, trajectory) {
+    var last = trajectory.last(),
+        lastSwipe = this.lastSwipes[track],
+        points, first, dx, dy, distance, across, duration, swipe;
+
+    if (!last) return null;
+    if (lastSwipe !== undefined && last.time - lastSwipe < this.cooldown) return null;
+
+    // A movement is only counted once, even if it outlasts the cooldown:
+    points = trajectory.points(this.window).filter(function (point) {
+        return lastSwipe === undefined || point.time > lastSwipe;
+    });
+    if (points.length < 2) return null;
+
+    first = points[0];
+    dx = last.x - first.x;
+    dy = last.y - first.y;
+    distance = Math.max(Math.abs(dx), Math.abs(dy));
+    across = Math.min(Math.abs(dx), Math.abs(dy));
+    duration = (last.time - first.time) / 1000;
+
+    if (distance < this.minDistance || distance / duration < this.minVelocity) return null;
+    if (distance < this.minRatio * across) return null;
+
+    swipe = {
+        type: Math.abs(dx) >= Math.abs(dy) ?
+            (dx < 0 ? SwipeRecognizer.LEFT : SwipeRecognizer.RIGHT) :
+            (dy < 0 ? SwipeRecognizer.UP : SwipeRecognizer.DOWN),
+        track: track,
+        time: last.time,
+        distance: distance,
+        velocity: distance / duration,
+        from: [first.x, first.y],
+        to: [last.x, last.y]
+    };
+
+    this.lastSwipes[track] = last.time;
+    if (this.onSwipe) {
+        this.onSwipe(swipe);
+    }
+    return swipe;
+};
+
+export { SwipeRecognizer };
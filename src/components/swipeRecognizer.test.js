@@ -0,0 +1,84 @@
+import { SwipeRecognizer } from './swipeRecognizer.js';
+
+// Stands in for a HandTrajectory holding the given [time, x, y] points
+const trajectory = (points) => {
+    const buffer = points.map((point) => ({ time: point[0], x: point[1], y: point[2] }));
+
+    return {
+        last: () => buffer[buffer.length - 1] || null,
+        points: (duration) => buffer.filter((point) => buffer[buffer.length - 1].time - point.time <= duration)
+    };
+};
+
+describe('SwipeRecognizer#update', () => {
+    it('recognizes a swipe in every direction', () => {
+        const recognizer = new SwipeRecognizer();
+
+        expect(recognizer.update('left', trajectory([[0, 0.8, 0.5], [300, 0.4, 0.5]])).type).toBe(SwipeRecognizer.LEFT);
+        expect(recognizer.update('right', trajectory([[0, 0.2, 0.5], [300, 0.6, 0.5]])).type).toBe(SwipeRecognizer.RIGHT);
+        expect(recognizer.update('up', trajectory([[0, 0.5, 0.8], [300, 0.5, 0.4]])).type).toBe(SwipeRecognizer.UP);
+        expect(recognizer.update('down', trajectory([[0, 0.5, 0.2], [300, 0.5, 0.6]])).type).toBe(SwipeRecognizer.DOWN);
+    });
+
+    it('reports the swipe', () => {
+        const onSwipe = jest.fn();
+        const recognizer = new SwipeRecognizer({ onSwipe: onSwipe });
+        const swipe = recognizer.update('open', trajectory([[0, 0.2, 0.5], [200, 0.4, 0.55], [400, 0.6, 0.5]]));
+
+        expect(swipe.track).toBe('open');
+        expect(swipe.time).toBe(400);
+        expect(swipe.distance).toBeCloseTo(0.4);
+        expect(swipe.velocity).toBeCloseTo(1);
+        expect(swipe.from).toEqual([0.2, 0.5]);
+        expect(swipe.to).toEqual([0.6, 0.5]);
+        expect(onSwipe).toHaveBeenCalledWith(swipe);
+    });
+
+    it('ignores short and slow moves', () => {
+        const recognizer = new SwipeRecognizer();
+
+        expect(recognizer.update('open', trajectory([[0, 0.5, 0.5], [100, 0.6, 0.5]]))).toBe(null);
+        expect(recognizer.update('fist', trajectory([[0, 0.2, 0.5], [450, 0.5, 0.5]]))).toBe(null);
+    });
+
+    it('ignores diagonal moves', () => {
+        const recognizer = new SwipeRecognizer();
+
+        expect(recognizer.update('open', trajectory([[0, 0.2, 0.2], [300, 0.6, 0.6]]))).toBe(null);
+        expect(recognizer.update('open', trajectory([[0, 0.2, 0.2], [300, 0.6, 0.45]]))).toBe(null);
+    });
+
+    it('takes a move along mostly one axis', () => {
+        const recognizer = new SwipeRecognizer();
+
+        expect(recognizer.update('open', trajectory([[0, 0.2, 0.2], [300, 0.6, 0.35]])).type).toBe(SwipeRecognizer.RIGHT);
+    });
+
+    it('takes the ratio from the options', () => {
+        const recognizer = new SwipeRecognizer({ minRatio: 1.2 });
+
+        expect(recognizer.update('open', trajectory([[0, 0.2, 0.2], [300, 0.6, 0.45]])).type).toBe(SwipeRecognizer.RIGHT);
+    });
+
+    it('reports one swipe per movement and track within the cooldown', () => {
+        const recognizer = new SwipeRecognizer({ cooldown: 700 });
+        const points = [[0, 0.2, 0.5], [300, 0.6, 0.5]];
+
+        expect(recognizer.update('open', trajectory(points))).not.toBe(null);
+        expect(recognizer.update('fist', trajectory(points))).not.toBe(null);
+
+        points.push([400, 0.9, 0.5]);
+        expect(recognizer.update('open', trajectory(points))).toBe(null);
+
+        points.push([1000, 0.8, 0.5], [1300, 0.4, 0.5]);
+        expect(recognizer.update('open', trajectory(points)).type).toBe(SwipeRecognizer.LEFT);
+    });
+
+    it('forgets the cooldown on reset()', () => {
+        const recognizer = new SwipeRecognizer();
+
+        recognizer.update('open', trajectory([[0, 0.2, 0.5], [300, 0.6, 0.5]]));
+        recognizer.reset();
+        expect(recognizer.update('open', trajectory([[0, 0.2, 0.5], [300, 0.6, 0.5]]))).not.toBe(null);
+    });
+});
@@ -7,5 +7,61 @@ export type Output = {
   score: number``
 }
 */
+
+// Bounding box in video coordinates: [x, y, width, height]
+export type Box = [number, number, number, number];
+
+export type GestureResult = {
+  gesture: string,
+  // Milliseconds between the start of this step and the detection
+  time: number,
+  // Confidence of the detection engine in [0, 1]
+  confidence: number,
+  // Only reported by the haar engine
+  neighbors?: number,
+  box: Box,
+  framesProcessed: number
+}
+
+export type Move = 'rock' | 'paper' | 'scissors';
+
+export type GameRound = {
+  player: Move,
+  computer: Move,
+  winner: 'player' | 'computer' | 'draw'
+}
+
+// Tally of a rock-paper-scissors game. rounds includes the draws, which are
+// played again and do not count towards bestOf
+export type GameResult = {
+  rounds: Array<GameRound>,
+  bestOf: number,
+  player: number,
+  computer: number,
+  draws: number,
+  winner: 'player' | 'computer' | 'draw'
+}
+
 export type Output = {
+  gestures: Array<GestureResult>,
+  totalTime: number,
+  framesProcessed: number,
+  // Only set by the rock-paper-scissors game
+  game?: GameResult
+}
+
+// Poses that move between the pages, null to leave a move to its button.
+// Poses other than 'open' and 'fist' need the 'skin' engine.
+export type Navigation = {
+  // Start page: go to the challenge, or to the game
+  start: ?string,
+  play: ?string,
+  // Challenge and game: go to the results as soon as they are over
+  advance: boolean,
+  // Result screen: back to the start page, or play again
+  restart: ?string,
+  retry: ?string,
+  // Time in ms a pose has to be held
+  hold: number,
+  engine: 'haar' | 'skin' | 'jshg'
 }
@@ -4,15 +4,34 @@ import { Background } from 'aq-miniapp-components-ui';
 import View1 from './js/View1';
 import View2 from './js/View2';
 import View3 from './js/View3';
+import View4 from './js/View4';
 import bg from '../assets/gyro-cube-bg1.jpg';
 
-import type { Output } from './Types';
-type Props = {}
+import type { Output, Navigation } from './Types';
+type Props = {
+  // Overrides of DEFAULT_NAVIGATION
+  navigation?: $Shape<Navigation>
+}
+
+// Open palm to start, the end of the challenge to see the results, and a fist
+// to start over. The buttons keep working alongside.
+export const DEFAULT_NAVIGATION: Navigation = {
+  start: 'open',
+  play: null,
+  advance: true,
+  restart: 'fist',
+  retry: null,
+  hold: 1000,
+  engine: 'haar'
+};
 
 export default class View extends Component {
+  props: Props;
   state: {
     currentPage: number,
-    output: Output
+    // Page Retry on the result screen goes back to
+    retryPage: number,
+    output: ?Output
   }
 
   constructor(props: Props) {
@@ -20,7 +39,8 @@ export default class View extends Component {
 
     this.state = {
       currentPage: 1,
-      output: {}
+      retryPage: 2,
+      output: null
     }
   }
 
@@ -28,26 +48,42 @@ export default class View extends Component {
       this.setState({currentPage: 2});
   }
 
+  _onView1Play() {
+      this.setState({currentPage: 4});
+  }
+
   _onView2Click(output: Output) {
-    this.setState({currentPage: 3, output: output});
+    this.setState({currentPage: 3, retryPage: 2, output: output});
   }
 
   _onView3Click() {
     this.setState({currentPage: 1});
   }
 
+  _onView3Retry() {
+    this.setState({currentPage: this.state.retryPage});
+  }
+
+  _onView4Click(output: Output) {
+    this.setState({currentPage: 3, retryPage: 4, output: output});
+  }
+
   render() {
+    const navigation = Object.assign({}, DEFAULT_NAVIGATION, this.props.navigation);
     let render = null;
 
     switch (this.state.currentPage) {
       case 1:
-        render = <View1 onClick={this._onView1Click.bind(this)}/>
+        render = <View1 navigation={navigation} onClick={this._onView1Click.bind(this)} onPlay={this._onView1Play.bind(this)}/>
         break;
       case 2:
-        render = <View2 onClick={this._onView2Click.bind(this)}/>
+        render = <View2 navigation={navigation} onClick={this._onView2Click.bind(this)}/>
         break;
       case 3:
-        render = <View3 output={this.state.output} onClick={this._onView3Click.bind(this)}/>
+        render = <View3 navigation={navigation} output={this.state.output} onClick={this._onView3Click.bind(this)} onRetry={this._onView3Retry.bind(this)}/>
+        break;
+      case 4:
+        render = <View4 navigation={navigation} onClick={this._onView4Click.bind(this)}/>
         break;
       default:
         break;
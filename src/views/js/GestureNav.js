@@ -0,0 +1,94 @@
+// @flow
+import React, { Component } from 'react';
+
+// Import component to be developed as required by specs document here
+import { GestureNavigator } from '../../components/gestureNavigator.js';
+
+// Import CSS here
+import '../css/View.css';
+
+const POSE_LABELS = {
+    open: 'an open palm',
+    fist: 'a fist',
+    point: 'a pointing finger',
+    peace: 'two fingers',
+    thumb: 'a thumb'
+};
+
+export type Props = {
+    // Function to run by pose
+    actions: { [pose: string]: () => void },
+    // What each action does, for the hints
+    labels: { [pose: string]: string },
+    hold: number,
+    engine: string
+    };
+
+// Small camera preview that runs the page's actions on hand poses. Renders
+// nothing without actions, so no camera is opened.
+export default class GestureNav extends Component {
+
+    video: any;
+    canvas: any;
+    gestureNavigator: any;
+
+    state: {
+            pose: ?string,
+            progress: number,
+            error: ?string
+    }
+
+    constructor(props: Props){
+        super(props);
+        this.state = {
+            pose: null,
+            progress: 0,
+            error: null
+        }
+    }
+
+    componentDidMount() {
+        if (Object.keys(this.props.actions).length === 0) return;
+
+        this.gestureNavigator = new GestureNavigator({
+            video: this.video,
+            canvas: this.canvas,
+            actions: this.props.actions,
+            hold: this.props.hold,
+            engine: this.props.engine,
+            onProgress: (pose, progress) => this.setState({pose: progress > 0 ? pose : null, progress: progress}),
+            onError: (error) => this.setState({error: (error && error.message) || 'WebRTC not available'})
+        });
+        this.gestureNavigator.start();
+    }
+
+    componentWillUnmount() {
+        if (!this.gestureNavigator) return;
+        this.gestureNavigator.dispose();
+        this.gestureNavigator = null;
+    }
+
+    _renderHint(pose: string) {
+        const held = this.state.pose === pose ? ` ${Math.round(this.state.progress * 100)}%` : '';
+
+        return (
+            <div key={pose} className={this.state.pose === pose ? 'navHint navHintActive' : 'navHint'}>
+                Show {POSE_LABELS[pose] || pose} to {this.props.labels[pose]}{held}
+            </div>
+        );
+    }
+
+    render() {
+        const poses = Object.keys(this.props.actions);
+
+        if (poses.length === 0) return null;
+
+        return (
+        <div className="gestureNav">
+        <video className='navVideo' ref={(video) => this.video = video}></video>
+        <canvas className='navCanvas' width='320' height='240' ref={(canvas) => this.canvas = canvas}></canvas>
+        {this.state.error ? <div className="navHint">{this.state.error}</div> : poses.map((pose) => this._renderHint(pose))}
+      </div>
+    )
+    }
+}
@@ -1,8 +1,10 @@
 // @flow
 import React, { Component } from 'react';
+import type { Navigation } from '../Types';
 
 //Import relevant components as required by specs document here
 import { Button } from 'aq-miniapp-components-ui';
+import GestureNav from './GestureNav';
 
 /* Import Assets as required by specs document
 ex.
@@ -12,13 +14,34 @@ import asset from '../../assets/asset.png';
 // Import CSS here
 import '../css/View.css';
 
+type Props = {
+    navigation: Navigation,
+    onClick: () => void,
+    onPlay: () => void
+}
+
 class View1 extends Component {
-    
+    props: Props;
 
     render(){
+        const { navigation } = this.props;
+        const actions = {};
+        const labels = {};
+
+        if (navigation.start) {
+            actions[navigation.start] = this.props.onClick;
+            labels[navigation.start] = 'start';
+        }
+        if (navigation.play) {
+            actions[navigation.play] = this.props.onPlay;
+            labels[navigation.play] = 'play rock paper scissors';
+        }
+
         return (
         <div className="viewContainer justifySpaceAround" >
+            <GestureNav actions={actions} labels={labels} hold={navigation.hold} engine={navigation.engine}/>
             <Button title="Start" onClick={this.props.onClick}/>
+            <Button title="Rock Paper Scissors" onClick={this.props.onPlay}/>
       </div>
         );
     }
@@ -1,9 +1,9 @@
 // @flow
 import React, { Component } from 'react';
-import type { Output } from '../Types';
+import type { Output, Navigation } from '../Types';
 
 // Import component to be developed as required by specs document here
-// import Comp from '../../components/Comp';
+import { HandGestureSession } from '../../components/handGestureSession.js';
 
 //Import relevant components as required by specs document here
 import { Button } from 'aq-miniapp-components-ui';
@@ -15,44 +15,92 @@ import asset from '../../assets/asset.png';
 
 // Import CSS here
 import '../css/View2.css';
-import '../../components/handDetection2.js';
 
 /* Define constants here
 
 ex.
 const MY_CONSTANT = 42;
 */
+// Add ?debug to the URL to see what the hand detector gets to see:
+const DEBUG = window.location.search.indexOf('debug') !== -1;
+// Time in ms the last gesture is shown before the results, with
+// navigation.advance:
+const ADVANCE_DELAY = 1000;
+
+const MESSAGES = {
+    open: { text: 'OPEN', className: 'open-color' },
+    fist: { text: 'CLOSED', className: 'closed-color' }
+};
 
 export type Props = {
+    navigation: Navigation,
     onClick: (Output) => void
     };
 
 export default class View2 extends Component {
     
     item: any;
+    video: any;
+    canvas: any;
+    debugCanvas: any;
+    session: any;
+    advanceTimer: any;
 
     state: {
-            output: Output
+            output: ?Output,
+            message: string,
+            messageClass: string,
+            isDone: boolean,
+            error: ?string
     }
 
     constructor(props: Props){
         super(props);
         this.state = {
-            output: {}
+            output: null,
+            message: '',
+            messageClass: '',
+            isDone: false,
+            error: null
         }
-        setTimeout(function(){
-            window.loadCamera();
-        },200);
+    }
+
+    componentDidMount() {
+        this.session = new HandGestureSession({
+            video: this.video,
+            canvas: this.canvas,
+            mirror: true,
+            debugCanvas: this.debugCanvas,
+            onGesture: (gesture) => this.setState({
+                message: MESSAGES[gesture].text,
+                messageClass: MESSAGES[gesture].className
+            }),
+            onComplete: (output) => {
+                this.setState({isDone: true, output: output});
+                if (this.props.navigation.advance) {
+                    this.advanceTimer = setTimeout(() => this.props.onClick(output), ADVANCE_DELAY);
+                }
+            },
+            onError: (error) => this.setState({error: (error && error.message) || 'WebRTC not available'})
+        });
+        this.session.start();
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.advanceTimer);
+        this.session.dispose();
+        this.session = null;
     }
 
     render() {
         return (
         <div className="viewContainer justifySpaceAround">
           {/* TODO: insert additional assets here as required be the specs document */}
-        <video id='video'></video>
-        <canvas id='canvas' width='640' height='480'></canvas>
-        <label id='lblMessage'></label>
-        <Button title="Done" className='doneButton' onClick={() => this.props.onClick(this.state.output)}/>
+        <video id='video' ref={(video) => this.video = video}></video>
+        <canvas id='canvas' width='640' height='480' ref={(canvas) => this.canvas = canvas}></canvas>
+        {DEBUG && <canvas id='debugCanvas' width='640' height='160' ref={(canvas) => this.debugCanvas = canvas}></canvas>}
+        <label id='lblMessage' className={this.state.messageClass}>{this.state.error || this.state.message}</label>
+        {this.state.isDone && <Button title="Done" onClick={() => this.state.output && this.props.onClick(this.state.output)}/>}
       </div>
     )
     }
@@ -1,8 +1,9 @@
 import React, { Component } from 'react';
-import type { Output } from '../Types';
+import type { Output, GestureResult, GameResult, GameRound, Navigation } from '../Types';
 
 //Import relevant components as required by specs document here
 import { Button } from 'aq-miniapp-components-ui';
+import GestureNav from './GestureNav';
 
 /* Import Assets as required by specs document
 ex.
@@ -13,16 +14,143 @@ import asset from '../../assets/asset.png';
 import '../css/View3.css';
 
 type Props = {
-  output: Output
+  navigation: Navigation,
+  output: ?Output,
+  onClick: () => void,
+  onRetry: () => void
+}
+
+const GESTURE_LABELS = {
+  open: 'Open hand',
+  fist: 'Fist',
+  point: 'Pointing finger',
+  peace: 'Two fingers',
+  thumb: 'Thumb'
+};
+
+const MOVE_LABELS = {
+  rock: 'Rock',
+  paper: 'Paper',
+  scissors: 'Scissors'
+};
+
+const WINNER_LABELS = {
+  player: 'You',
+  computer: 'Computer',
+  draw: 'Draw'
+};
+
+const GAME_TITLES = {
+  player: 'You Won!',
+  computer: 'The Computer Won',
+  draw: "It's a Draw"
+};
+
+function formatSeconds(ms: number): string {
+  return (ms / 1000).toFixed(2) + 's';
 }
 
 export default class View3 extends Component {
   props: Props;
 
+  _renderGesture(result: GestureResult, index: number) {
+    const box = result.box.map((value) => Math.round(value)).join(', ');
+
+    return (
+      <tr key={index}>
+        <td>{GESTURE_LABELS[result.gesture] || result.gesture}</td>
+        <td>{formatSeconds(result.time)}</td>
+        <td>
+          {Math.round(result.confidence * 100)}%
+          {result.neighbors !== undefined ? ` (${result.neighbors})` : ''}
+        </td>
+        <td>[{box}]</td>
+        <td>{result.framesProcessed}</td>
+      </tr>
+    );
+  }
+
+  _renderRound(round: GameRound, index: number) {
+    return (
+      <tr key={index}>
+        <td>{index + 1}</td>
+        <td>{MOVE_LABELS[round.player]}</td>
+        <td>{MOVE_LABELS[round.computer]}</td>
+        <td>{WINNER_LABELS[round.winner]}</td>
+      </tr>
+    );
+  }
+
+  _renderGame(game: GameResult) {
+    return (
+      <div className="results">
+        <div className="summary">
+          You {game.player}, computer {game.computer}, best of {game.bestOf}
+          {game.draws > 0 ? ` (${game.draws} draws)` : ''}
+        </div>
+        <table className="resultsTable">
+          <thead>
+            <tr>
+              <th>Round</th>
+              <th>You</th>
+              <th>Computer</th>
+              <th>Winner</th>
+            </tr>
+          </thead>
+          <tbody>
+            {game.rounds.map(this._renderRound)}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  _renderResults(output: Output) {
+    return (
+      <div className="results">
+        <table className="resultsTable">
+          <thead>
+            <tr>
+              <th>Gesture</th>
+              <th>Time</th>
+              <th>Confidence</th>
+              <th>Box</th>
+              <th>Frames</th>
+            </tr>
+          </thead>
+          <tbody>
+            {output.gestures.map(this._renderGesture)}
+          </tbody>
+        </table>
+        <div className="summary">
+          Total {formatSeconds(output.totalTime)} over {output.framesProcessed} frames
+        </div>
+      </div>
+    );
+  }
+
   render() {
+    const { output, navigation } = this.props;
+    const actions = {};
+    const labels = {};
+    const title = output && output.game ? GAME_TITLES[output.game.winner] : 'You Did It!';
+
+    if (navigation.restart) {
+      actions[navigation.restart] = this.props.onClick;
+      labels[navigation.restart] = 'start over';
+    }
+    if (navigation.retry) {
+      actions[navigation.retry] = this.props.onRetry;
+      labels[navigation.retry] = 'try again';
+    }
+
     return (
       <div className="viewContainer justifyCenter">
-        <div className="title">You Did It!</div>
+        <div className="title">{title}</div>
+        {output && output.game ? this._renderGame(output.game) : null}
+        {output ? this._renderResults(output) : null}
+        <GestureNav actions={actions} labels={labels} hold={navigation.hold} engine={navigation.engine}/>
+        <Button title="Retry" onClick={this.props.onRetry}/>
         <Button title="Restart" onClick={this.props.onClick}/>
       </div>
     )
@@ -0,0 +1,142 @@
+// @flow
+import React, { Component } from 'react';
+import type { Output, GameRound, Navigation } from '../Types';
+
+// Import component to be developed as required by specs document here
+import { HandGestureSession } from '../../components/handGestureSession.js';
+import { RockPaperScissors } from '../../components/rockPaperScissors.js';
+
+//Import relevant components as required by specs document here
+import { Button } from 'aq-miniapp-components-ui';
+
+// Import CSS here
+import '../css/View2.css';
+import '../css/View4.css';
+
+// Only the skin engine knows the two-finger pose for scissors:
+const ENGINE = 'skin';
+const ROUNDS = 3;
+// Shown like a selfie camera; the game flips its boxes back for the results:
+const MIRROR = true;
+// Time in ms the last round is shown before the results, with
+// navigation.advance:
+const ADVANCE_DELAY = 2000;
+
+const MOVE_LABELS = {
+    rock: 'ROCK',
+    paper: 'PAPER',
+    scissors: 'SCISSORS'
+};
+
+const WINNER_LABELS = {
+    player: 'YOU WIN',
+    computer: 'COMPUTER WINS',
+    draw: 'DRAW'
+};
+
+export type Props = {
+    navigation: Navigation,
+    onClick: (Output) => void
+    };
+
+export default class View4 extends Component {
+
+    video: any;
+    canvas: any;
+    session: any;
+    game: any;
+    advanceTimer: any;
+
+    state: {
+            output: ?Output,
+            message: string,
+            round: ?GameRound,
+            player: number,
+            computer: number,
+            isDone: boolean,
+            error: ?string
+    }
+
+    constructor(props: Props){
+        super(props);
+        this.state = {
+            output: null,
+            message: '',
+            round: null,
+            player: 0,
+            computer: 0,
+            isDone: false,
+            error: null
+        }
+    }
+
+    componentDidMount() {
+        this.game = new RockPaperScissors({
+            rounds: ROUNDS,
+            mirror: MIRROR,
+            onCountdown: (seconds) => this.setState({message: seconds > 0 ? String(seconds) : 'SHOW!', round: null}),
+            onNoMove: () => this.setState({message: 'AGAIN'}),
+            onRound: (round) => this.setState({
+                message: WINNER_LABELS[round.winner],
+                round: round,
+                player: this.game.score.player,
+                computer: this.game.score.computer
+            }),
+            // Boxes in camera image coordinates, like the results of the challenge:
+            onComplete: () => {
+                const output = this.game.getOutput(this.video.videoWidth, this.video.videoHeight);
+
+                this.setState({isDone: true, output: output});
+                if (this.props.navigation.advance) {
+                    this.advanceTimer = setTimeout(() => this.props.onClick(output), ADVANCE_DELAY);
+                }
+            }
+        });
+
+        this.session = new HandGestureSession({
+            video: this.video,
+            canvas: this.canvas,
+            mirror: MIRROR,
+            engine: ENGINE,
+            sequence: false,
+            poses: Object.keys(RockPaperScissors.POSES).map((move) => RockPaperScissors.POSES[move]),
+            onStateChange: (state) => {
+                if (state === HandGestureSession.RUNNING && this.game.phase === RockPaperScissors.IDLE) {
+                    this.game.start(Date.now());
+                }
+            },
+            onObservations: (observations) => this.game.update(observations, Date.now()),
+            onError: (error) => this.setState({error: (error && error.message) || 'WebRTC not available'})
+        });
+        this.session.start();
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.advanceTimer);
+        this.session.dispose();
+        this.session = null;
+        this.game = null;
+    }
+
+    _renderRound(round: GameRound) {
+        return (
+            <div className="moves">
+                <span>You: {MOVE_LABELS[round.player]}</span>
+                <span>Computer: {MOVE_LABELS[round.computer]}</span>
+            </div>
+        );
+    }
+
+    render() {
+        return (
+        <div className="viewContainer justifySpaceAround">
+        <div className="score">You {this.state.player} : {this.state.computer} Computer, best of {ROUNDS}</div>
+        <video id='video' ref={(video) => this.video = video}></video>
+        <canvas id='canvas' width='640' height='480' ref={(canvas) => this.canvas = canvas}></canvas>
+        <label id='lblMessage'>{this.state.error || this.state.message}</label>
+        {this.state.round ? this._renderRound(this.state.round) : null}
+        {this.state.isDone && <Button title="Done" onClick={() => this.state.output && this.props.onClick(this.state.output)}/>}
+      </div>
+    )
+    }
+}